@@ -22,24 +22,47 @@ const deepmerge = require('deepmerge');
 const path = require('path');
 
 const f5AppSvcsSchema = require('@automation-toolchain/f5-appsvcs-schema');
-const customDict = require('../lib/AS3/customDict');
+const apmPolicies = require('../lib/apmPolicies');
 const customHandling = require('../lib/AS3/customHandling');
 const declarationBase = require('../util/convert/declarationBase');
 const dedupeArray = require('../util/convert/dedupeArray');
 const deleteProperty = require('../util/convert/deleteProperty');
+const discoveryPlaceholders = require('../lib/discoveryPlaceholders');
+const externalDataGroups = require('../lib/externalDataGroups');
 const findLocation = require('../util/convert/findLocation');
+const formatSource = require('../util/formatSource');
 const getKey = require('../util/getKey');
 const getMergedAS3Properties = require('../util/getMergedAS3Properties');
 const hyphensToCamel = require('../util/convert/hyphensToCamel');
+const iappDict = require('../lib/AS3/iappDict');
+const iapps = require('../lib/iapps');
 const isInteger = require('../util/convert/isInteger');
 const isIPv4 = require('../util/convert/isIPv4');
 const isIPv6 = require('../util/convert/isIPv6');
+const loadFilestoreFile = require('../util/convert/loadFilestoreFile');
 const log = require('../util/log');
+const nodeConflicts = require('../lib/nodeConflicts');
+const parseIappService = require('../util/convert/parseIappService');
 const prependObjProps = require('../util/convert/prependObjProps');
+const renames = require('../lib/renames');
+const splitRouteDomain = require('../util/convert/splitRouteDomain');
+const unsupportedPolicyRules = require('../lib/unsupportedPolicyRules');
+const unsupportedRouteDomains = require('../lib/unsupportedRouteDomains');
+const unresolvedIruleRefs = require('../lib/unresolvedIruleRefs');
+const versionRules = require('../lib/versionRules');
+const wafPolicies = require('../lib/wafPolicies');
+
+// AS3 remark is limited to 64 chars, fall back to file name without directory
+const sourceRemark = (source) => {
+    const remark = formatSource(source);
+    if (remark.length <= 64) return remark;
+    return formatSource(Object.assign({}, source, { file: path.basename(source.file) })).slice(-64);
+};
 
-const defaults = require('../lib/bigipDefaults.json');
+// source location suffix for log messages
+const atSource = (source) => (source ? ` (${formatSource(source)})` : '');
 
-const deDupeObjectNames = (json) => {
+const deDupeObjectNames = (json, provenance) => {
     const supported = ['ltm pool', 'ltm profile', 'ltm virtual', 'ltm rule', 'ltm policy', 'ltm monitor'];
     const ipNameSupported = ['ltm virtual', 'ltm pool', 'ltm monitor'];
     const dupeArray = [];
@@ -116,7 +139,10 @@ const deDupeObjectNames = (json) => {
                 });
 
                 // Rename object here.
-                updatedDict[`${getKey(objectToUpdate)} ${objNewName}`] = json[jsonKey];
+                const newKey = `${getKey(objectToUpdate)} ${objNewName}`;
+                renames.add(objectToUpdate, newKey);
+                updatedDict[newKey] = json[jsonKey];
+                if (provenance[jsonKey]) provenance[newKey] = provenance[jsonKey];
             } else if (jsonKey && !tempArray.includes(jsonKey)) {
                 // Not duplicates goes here without changes.
                 updatedDict[jsonKey] = json[jsonKey];
@@ -126,6 +152,119 @@ const deDupeObjectNames = (json) => {
     return updatedDict;
 };
 
+// virtual servers in iApp folder, objects of such folders are converted as is
+const regexHttpiApp = /ltm\svirtual\s(\/\w+\/\w+\.app)/;
+
+// iApp service which is converted itself (customMaps/iapp.js)
+const isServiceIapp = (service) => {
+    const entry = iappDict(parseIappService.templateName(service.template));
+    return Boolean(entry) && entry.method === 'service';
+};
+
+/* ISOLATE IAPPS WITH INTERPRETED TEMPLATE ('sys application service /T/web.app/web')
+ * 'variables': AS3 Application '/T/web' is built from the service, objects generated by the iApp are dropped
+ * 'objects': generated objects are moved from '/T/web.app/' to '/T/web/', references are updated
+ * objects of other iApps stay in '.app' folder and are reported
+ * output: { json, applications: { '/T/web': { application, declaration, key } } }
+ */
+const convertIapps = (json, provenance) => {
+    const folders = {};
+    Object.keys(json).forEach((jsonKey) => {
+        const match = jsonKey.match(/ (\/[^/ ]+\/[^/ ]+\.app)\//);
+        if (!match) return;
+        if (!folders[match[1]]) folders[match[1]] = { services: [], objects: [] };
+        folders[match[1]][jsonKey.startsWith('sys application service ') ? 'services' : 'objects'].push(jsonKey);
+    });
+
+    // keys referencing objects of folder, JSON of every object is searched once, when first needed
+    let referrers;
+    const referrersOf = (folder) => {
+        if (!referrers) {
+            referrers = {};
+            Object.keys(json).forEach((jsonKey) => {
+                const str = JSON.stringify(json[jsonKey]);
+                new Set(str.match(/\/[^/\s"]+\/[^/\s"]+\.app\//g)).forEach((match) => {
+                    const refFolder = match.slice(0, -1);
+                    if (!referrers[refFolder]) referrers[refFolder] = [];
+                    referrers[refFolder].push(jsonKey);
+                });
+            });
+        }
+        return referrers[folder] || [];
+    };
+
+    let updated = json;
+    const applications = {};
+    // 'objects' iApps: new keys of moved objects (null for dropped service) and rewritten objects,
+    // applied to config once for all folders
+    const movedKeys = {};
+    const rewritten = {};
+    Object.keys(folders).forEach((folder) => {
+        const { services, objects } = folders[folder];
+        const appPath = folder.replace(/\.app$/, '');
+        const application = appPath.startsWith('/Common/') ? '/Common/Shared' : appPath;
+        const iapp = services.length === 1 ? parseIappService(json[services[0]]) : undefined;
+        const entry = iapp && iappDict(iapp.template);
+
+        if (entry && entry.method === 'variables') {
+            const declaration = entry.convert(iapp, path.basename(appPath));
+            if (declaration) {
+                updated = Object.assign({}, updated);
+                services.concat(objects).forEach((jsonKey) => delete updated[jsonKey]);
+                applications[appPath] = { application, declaration, key: services[0] };
+                iapps.add(services[0].split(' ').pop(), {
+                    template: iapp.template, status: 'converted', application, objects
+                });
+                return;
+            }
+        }
+
+        if (entry && entry.method === 'objects') {
+            const move = (str) => str.split(`${folder}/`).join(`${appPath}/`);
+            movedKeys[services[0]] = null;
+            objects.forEach((jsonKey) => { movedKeys[jsonKey] = move(jsonKey); });
+            new Set(objects.concat(referrersOf(folder))).forEach((jsonKey) => {
+                if (jsonKey === services[0]) return;
+                const value = jsonKey in rewritten ? rewritten[jsonKey] : json[jsonKey];
+                const str = JSON.stringify(value);
+                if (str.includes(`${folder}/`)) rewritten[jsonKey] = JSON.parse(move(str));
+            });
+            iapps.add(services[0].split(' ').pop(), {
+                template: iapp.template, status: 'converted', application, objects: objects.map(move)
+            });
+            return;
+        }
+
+        // legacy handling: objects of folders with virtual server are converted under '<name>.app'
+        const hasVirtual = objects.some((jsonKey) => (jsonKey.match(regexHttpiApp) || [])[1] === folder);
+        const status = hasVirtual ? 'objectsOnly' : 'notConverted';
+        if (!services.length) iapps.add(folder, { status, objects });
+        services.forEach((serviceKey) => {
+            const { template } = parseIappService(json[serviceKey]);
+            if (isServiceIapp(json[serviceKey])) {
+                iapps.add(serviceKey.split(' ').pop(), { template, status: 'converted', application: folder });
+            } else {
+                iapps.add(serviceKey.split(' ').pop(), { template, status, objects });
+            }
+        });
+    });
+
+    // moved objects keep their place in config, '--rename-map' reports them under new path
+    if (Object.keys(movedKeys).length || Object.keys(rewritten).length) {
+        const moved = {};
+        Object.keys(updated).forEach((jsonKey) => {
+            if (movedKeys[jsonKey] === null) return;
+            const newKey = movedKeys[jsonKey] || jsonKey;
+            moved[newKey] = jsonKey in rewritten ? rewritten[jsonKey] : updated[jsonKey];
+            if (newKey === jsonKey) return;
+            if (provenance[jsonKey]) provenance[newKey] = provenance[jsonKey];
+            renames.add(renames.renamedFrom(jsonKey) || jsonKey, newKey);
+        });
+        updated = moved;
+    }
+    return { json: updated, applications };
+};
+
 const defaultsFromInheritance = (json) => {
     const supported = ['ltm monitor', 'ltm profile'];
     const jsonKeys = Object.keys(json);
@@ -138,7 +277,7 @@ const defaultsFromInheritance = (json) => {
             const parent = json[jsonKey]['defaults-from'];
 
             // if object is default to BIG-IP, do not update
-            if (!defaults.includes(parent)) {
+            if (!versionRules.isDefault(parent)) {
                 // create heritage list
                 // T3 -> defaults-from T2 -> defaults-from T1 -> defaults-from default
                 // [T3, T2, T1]
@@ -169,7 +308,7 @@ const defaultsFromInheritance = (json) => {
 
 const convertEngine = (confObj, confKey) => {
     let obj = {};
-    const def = customDict[confKey];
+    const def = versionRules.customDict()[confKey];
 
     // check for as3Properties map override (ie monitors, persistence)
     let lookupKey = confKey;
@@ -290,24 +429,49 @@ const as3NextCleanUp = (declarationNext, config) => {
     };
 };
 
-module.exports = (json, config) => {
+const convert = (json, config, provenance = {}) => {
     try {
+        // custom maps of source BIG-IP version
+        const customDict = versionRules.customDict();
+
         // start with basic json structure
         const declObj = declarationBase.AS3(config);
         const unconvertedArr = [];
 
+        // origin of generated objects: { '/tenant/app/name': { key, file, startLine, endLine } }
+        const sourceMap = {};
+        const addSource = (objPath, obj, source, fileKey) => {
+            if (!source || !obj || typeof obj !== 'object' || !obj.class) return;
+            sourceMap[objPath] = Object.assign({ key: fileKey }, source);
+            if (config && config.provenanceRemark && !obj.remark) obj.remark = sourceRemark(source);
+        };
+
+        // collected by custom maps during conversion
+        apmPolicies.reset();
+        discoveryPlaceholders.reset();
+        externalDataGroups.reset();
+        iapps.reset();
+        nodeConflicts.reset();
+        renames.reset();
+        unresolvedIruleRefs.reset();
+        unsupportedPolicyRules.reset();
+        unsupportedRouteDomains.reset();
+        wafPolicies.reset();
+
         // use for cleanup redirect services
         const redirectVS = [];
 
         // cleanup Duplicates
-        const jsonDeduped = deDupeObjectNames(json);
+        const jsonDeduped = deDupeObjectNames(json, provenance);
+
+        // iApps with interpreted template
+        const { json: jsonIapps, applications: iappApplications } = convertIapps(jsonDeduped, provenance);
 
         // defaults-from inheritance
-        const jsonDefaultsUpdated = defaultsFromInheritance(jsonDeduped);
-        const fileKeys = Object.keys(jsonDeduped);
+        const jsonDefaultsUpdated = defaultsFromInheritance(jsonIapps);
+        const fileKeys = Object.keys(jsonIapps);
 
         // filter http iapp keys
-        const regexHttpiApp = /ltm\svirtual\s(\/\w+\/\w+\.app)/;
         const httpiApps = fileKeys.filter((item) => item.match(regexHttpiApp));
         const iappPath = httpiApps.map((item) => item.match(regexHttpiApp)[1]);
         const iappSupported = fileKeys.filter((item) => iappPath.some((el) => item.includes(el)));
@@ -316,6 +480,7 @@ module.exports = (json, config) => {
         fileKeys.forEach((fileKey) => {
             const confKey = getKey(fileKey);
             const confObj = jsonDefaultsUpdated[fileKey];
+            const source = provenance[fileKey];
             try {
                 // Determine corresponding AS3 class
                 if (customDict[confKey] && !customDict[confKey].noDirectMap) {
@@ -339,23 +504,27 @@ module.exports = (json, config) => {
                         .map((x) => x.trim())
                         .filter((x) => x)[0];
 
-                    // fix for un-prefixed profiles on /Common 16.1
-                    if (!filePath.startsWith('/')) {
+                    // un-prefixed profiles on /Common (16.1+)
+                    if (!filePath.startsWith('/') && versionRules.flag('unprefixedCommon')) {
                         fileKey = fileKey.replace(filePath, `/Common/${filePath}`);
                         filePath = `/Common/${filePath}`;
                     }
 
                     // if object is default to BIG-IP, do not convert
-                    if (defaults.includes(filePath)) return;
+                    if (versionRules.isDefault(filePath)) return;
 
                     obj.class = customDict[confKey].class;
 
                     const loc = findLocation(fileKey);
                     log.debug(`Converting ${filePath} "${customDict[confKey].class}"`);
 
-                    // partial support for iApps
-                    if (loc.iapp && !fileKey.startsWith('sys application service')
-                        && !iappSupported.includes(fileKey)) return;
+                    // partial support for iApps: services of 'service' templates (customMaps/iapp.js),
+                    // objects of other iApps only in folders with virtual server
+                    if (loc.iapp) {
+                        const supported = confKey === 'sys application service'
+                            ? isServiceIapp(confObj) : iappSupported.includes(fileKey);
+                        if (!supported) return;
+                    }
 
                     // Non default objects in /Common/ should be in /Common/Shared
                     // ex: /Common/somewhere/test -> /Common/Shared/test
@@ -375,8 +544,9 @@ module.exports = (json, config) => {
                     // Connect multiple objects together
                     // special edge case for Service_Address (locate to <tenant>/Shared)
                     if (confKey === 'ltm virtual-address') {
-                        // if loc.app is IPv4, then it belongs indirectly to a Service
-                        if (isIPv4(loc.profile.replace(/_/g, '.'))) return;
+                        // if loc.app is IP address (optionally with route domain), it belongs indirectly to a Service
+                        const { address } = splitRouteDomain(loc.profile);
+                        if (isIPv4(address.replace(/_/g, '.')) || isIPv6(address)) return;
 
                         // else its a Service_Address
                         if (!declObj[loc.tenant].Shared) {
@@ -384,6 +554,9 @@ module.exports = (json, config) => {
                         }
 
                         const custom = customDict[confKey].customHandling(obj, loc, jsonDefaultsUpdated);
+                        Object.keys(custom).forEach((custKey) => {
+                            addSource(`/${loc.tenant}/Shared/${custKey}`, custom[custKey], source, fileKey);
+                        });
                         declObj[loc.tenant].Shared = Object.assign(declObj[loc.tenant].Shared, custom);
                         return;
                     }
@@ -407,6 +580,7 @@ module.exports = (json, config) => {
                         customObj[loc.profile].virtualPort.forEach((port) => {
                             tempObj.virtualPort = port;
                             customObj[`${loc.profile}_${port}`] = JSON.parse(JSON.stringify(tempObj));
+                            renames.addPointer(fileKey, `/${loc.tenant}/${loc.app}/${loc.profile}_${port}`);
                         });
                         delete customObj[loc.profile];
                     }
@@ -435,6 +609,7 @@ module.exports = (json, config) => {
                                     }
                                 });
                                 declObj[loc.tenant][loc.app][origProfile] = merged;
+                                renames.addPointer(fileKey, `/${loc.tenant}/${loc.app}/${origProfile}`);
 
                                 // Check customObj has more object than just 1 profile
                                 // Certs can be additional, reassign them
@@ -462,13 +637,21 @@ module.exports = (json, config) => {
                     // if custom handling, do not auto-attach
                     if (!customDict[confKey].customHandling) {
                         declObj[loc.tenant][loc.app][loc.profile || loc.app] = obj;
+                        addSource(`/${loc.tenant}/${loc.app}/${loc.profile || loc.app}`, obj, source, fileKey);
+                    }
+
+                    // object renamed by deDupeObjectNames
+                    const objName = loc.profile || loc.app;
+                    if (renames.renamedFrom(fileKey) && (!customDict[confKey].customHandling || customObj[objName])) {
+                        renames.addPointer(fileKey, `/${loc.tenant}/${loc.app}/${objName}`);
                     }
 
                     // duplicate as3-object detection (naming collision)
                     Object.keys(customObj).forEach((custKey) => {
                         if (declObj[loc.tenant][loc.app][custKey] && custKey !== 'template' && custKey !== 'certificate_default') {
-                            log.warn(`Duplicate object name detected: ${custKey} exists as both ${declObj[loc.tenant][loc.app][custKey].class} and ${customObj[custKey].class}`);
+                            log.warn(`Duplicate object name detected: ${custKey} exists as both ${declObj[loc.tenant][loc.app][custKey].class} and ${customObj[custKey].class}${atSource(source)}`);
                         }
+                        addSource(`/${loc.tenant}/${loc.app}/${custKey}`, customObj[custKey], source, fileKey);
                     });
 
                     // attach custom object to declaration
@@ -481,10 +664,24 @@ module.exports = (json, config) => {
                     unconvertedArr.push(fileKey);
                 }
             } catch (e) {
-                log.error(`Error converting: ${fileKey}`);
+                log.error(`Error converting: ${fileKey}${atSource(source)}`);
             }
         });
 
+        // attach AS3 Applications built from iApp services
+        Object.values(iappApplications).forEach(({ application, declaration, key }) => {
+            const [tenant, app] = application.split('/').slice(1);
+            if (!declObj[tenant]) declObj[tenant] = { class: 'Tenant' };
+            declObj[tenant][app] = { class: 'Application', template: app === 'Shared' ? 'shared' : 'generic', ...declObj[tenant][app] };
+            Object.keys(declaration).forEach((name) => {
+                if (declObj[tenant][app][name]) {
+                    log.warn(`Duplicate object name detected: ${name} exists as both ${declObj[tenant][app][name].class} and ${declaration[name].class}${atSource(provenance[key])}`);
+                }
+                declObj[tenant][app][name] = declaration[name];
+                addSource(`${application}/${name}`, declaration[name], provenance[key], key);
+            });
+        });
+
         // remove Common if no stanzas
         if (declObj.Common && Object.keys(declObj.Common).length === 1) {
             delete declObj.Common;
@@ -520,7 +717,7 @@ module.exports = (json, config) => {
             });
         });
 
-        const as3NotConverted = Object.assign({}, ...unconvertedArr.map((x) => ({ [x]: json[x] })));
+        const as3NotConverted = Object.assign({}, ...unconvertedArr.map((x) => ({ [x]: jsonIapps[x] })));
 
         // AS3 Next conversion
         const { declarationNext, keyNextNotSupported } = as3NextCleanUp(declObj, config);
@@ -533,14 +730,33 @@ module.exports = (json, config) => {
         });
 
         return {
+            apmPolicies: apmPolicies.get(),
             declaration: declarationNext,
+            discoveryPlaceholders: discoveryPlaceholders.get(),
+            externalDataGroups: externalDataGroups.get(),
             iappSupported,
+            iapps: iapps.get(),
             as3NotConverted,
             keyNextNotSupported,
-            unsupportedStats
+            nodeConflicts: nodeConflicts.get(),
+            provenance: sourceMap,
+            renames: renames.get(),
+            unsupportedPolicyRules: unsupportedPolicyRules.get(),
+            unsupportedRouteDomains: unsupportedRouteDomains.get(),
+            unresolvedIruleRefs: unresolvedIruleRefs.get(),
+            unsupportedStats,
+            wafPolicies: wafPolicies.get()
         };
     } catch (e) {
         e.message = `Error converting input file. Please open an issue at https://github.com/f5devcentral/f5-automation-config-converter/issues and include the following error:\n${e.message}`;
         throw e;
     }
 };
+
+// provenance (optional) is origin of parsed objects: { '<tmsh key>': { file, startLine, endLine } }
+// config.versionRules (optional) is rule set of source BIG-IP version, rules of the latest version by default
+// config.files (optional) is input files, certificates, keys and other 'sys file' objects are loaded from its filestore
+module.exports = (json, config, provenance) => versionRules.use(
+    config && config.versionRules,
+    () => loadFilestoreFile.use(config && config.files, () => convert(json, config, provenance))
+);
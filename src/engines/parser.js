@@ -18,20 +18,26 @@
 
 const arrToMultilineStr = require('../util/parse/arrToMultilineStr');
 const countIndent = require('../util/parse/countIndent');
+const formatSource = require('../util/formatSource');
 const getTitle = require('../util/parse/getTitle');
 const objToArr = require('../util/parse/objToArr');
 const log = require('../util/log');
 const removeIndent = require('../util/parse/removeIndent');
+const stanzaTokenizer = require('../util/parse/stanzaTokenizer');
 const strToObj = require('../util/parse/strToObj');
 
 // pass arr of individual bigip-obj
 // recognize && handle edge cases
-function orchestrate(arr) {
+// source ({ file, lines }) holds line numbers of arr items, used in warnings
+function orchestrate(arr, source = { lines: [] }) {
     const key = getTitle(arr[0]);
+    const lines = source.lines.slice(0);
 
     // remove opening and closing brackets
     arr.pop();
     arr.shift();
+    lines.pop();
+    lines.shift();
 
     let obj = {};
 
@@ -71,7 +77,7 @@ function orchestrate(arr) {
                 });
 
                 // Recursion for subObjects
-                Object.assign(obj, orchestrate(coerceArr));
+                Object.assign(obj, orchestrate(coerceArr, { file: source.file, lines: lines.slice(i, i + c + 1) }));
 
                 // skip over nested block
                 i += c;
@@ -109,8 +115,8 @@ function orchestrate(arr) {
                 // treat as typical string
                 } else {
                     const tmp = strToObj(arr[i].trim());
-                    // edge case for gtm monitor external and user-defined property
-                    if (key.startsWith('gtm monitor external') && Object.keys(tmp).includes('user-defined')) {
+                    // edge case for ltm/gtm monitor external and user-defined property
+                    if (/^(gtm|ltm) monitor external/.test(key) && Object.keys(tmp).includes('user-defined')) {
                         if (!obj['user-defined']) obj['user-defined'] = {};
                         const tmpObj = strToObj(tmp['user-defined']);
                         obj['user-defined'][Object.keys(tmpObj)[0]] = Object.values(tmpObj)[0];
@@ -119,7 +125,8 @@ function orchestrate(arr) {
 
             // else report exception
             } else {
-                log.warn(`UNRECOGNIZED LINE: '${arr[i]}'`);
+                const location = formatSource({ file: source.file, startLine: lines[i], endLine: lines[i] });
+                log.warn(`UNRECOGNIZED LINE: '${arr[i]}'${location ? ` (${location})` : ''}`);
             }
         }
     }
@@ -127,62 +134,20 @@ function orchestrate(arr) {
     return { [key]: obj };
 }
 
-/* THIS FUNCTION SHOULD ONLY GROUP ROOT-LEVEL CONFIG OBJECTS */
-
-function groupObjects(arr) {
-    const group = [];
-    for (let i = 0; i < arr.length; i += 1) {
-        const currentLine = arr[i];
-
-        // empty obj / pseudo-array
-        // change to use first/last char pattern (not nested empty obj)
-        // skip nested objects for now..
-        if (currentLine.includes('{') && currentLine.includes('}') && currentLine[0] !== ' ') {
-            group.push([currentLine]);
-        } else if (currentLine.trim().endsWith('{') && !currentLine.startsWith(' ')) {
-            // looking for non-indented '{'
-            let c = 0;
-
-            const ruleFlag = currentLine.includes('ltm rule');
-
-            // different grouping logic for iRules
-            let bracketCount = 1;
-            while (bracketCount !== 0) {
-                c += 1;
-
-                // count { and }. They should occur in pairs
-                const line = arr[i + c];
-                let subcount = 0;
-
-                // don't count escaped brackets or brackets in commented or special lines inside iRules
-                let previousChar = '';
-                if (!((line.trim().startsWith('#') || line.trim().startsWith('set')
-                    || line.trim().startsWith('STREAM')) && ruleFlag)) {
-                    // exclude quoted parts
-                    const updatedline = line.trim().replace(/\\"/g, '').replace(/".+"/g, '');
-                    updatedline.split('').forEach((char) => {
-                        // count brackets if functional (not stringified)
-                        // closing root-level obj
-                        if (previousChar !== '\\') {
-                            if (char === '{') subcount += 1;
-                            if (char === '}') subcount -= 1;
-                        }
-                        previousChar = char;
-                    });
-
-                    // abort if run into next rule
-                    if (line.includes('ltm rule')) {
-                        c -= 1;
-                        bracketCount = 0;
-                    }
-                    bracketCount += subcount;
-                }
-            }
-            group.push(arr.slice(i, i + c + 1));
-            i += c;
-        }
+// call fn(line, lineNumber) for every line of str without building an array of lines
+function forEachLine(str, fn) {
+    let start = 0;
+    let lineNumber = 0;
+    while (start <= str.length) {
+        let end = str.indexOf('\n', start);
+        if (end === -1) end = str.length;
+        let line = str.slice(start, end);
+        // handle windows line endings
+        if (line.endsWith('\r')) line = line.slice(0, -1);
+        lineNumber += 1;
+        fn(line, lineNumber);
+        start = end + 1;
     }
-    return group;
 }
 
 // count specific char in string
@@ -190,83 +155,136 @@ function countChar(str, char) {
     return str.split(char).length - 1;
 }
 
-module.exports = (files) => {
-    try {
-        let data = {};
-
-        Object.keys(files).forEach((key) => {
-            // do not parse certs, keys or license
-            if (key.includes('Common_d')
-                || key.includes('bigip_script.conf')
-                || key.includes('.license')) return;
-
-            log.debug(`Parsing ${key}`);
+// filter comments outside of iRules and collect gtm topology records
+// kept lines are passed to next() one by one, gtm topology is passed on end()
+function createPreprocessor(next) {
+    const topologyArr = [];
+    const topologyLines = [];
+    let topologyCount = 0;
+    let longestMatchEnabled = false;
+    let inTopology = false;
+    let irule = 0;
+
+    // filter whitespace && found comments
+    const pass = (line, lineNumber) => {
+        if (!(line === '' || line.trim().startsWith('#comment# '))) next(line, lineNumber);
+    };
+
+    return {
+        push: (line, lineNumber) => {
+            // Process comments in iRules:
+            if (irule === 0) {
+                if (line.trim().startsWith('# ')) {
+                    // mark comments outside of irules with specific prefix
+                    line = line.trim().replace('# ', '#comment# ');
+                } else if (line.includes('ltm rule') || line.includes('gtm rule')) irule += 1;
+            // don't count brackets in commented or special lines
+            } else if (!line.trim().startsWith('#')) {
+                irule = irule + countChar(line, '{') - countChar(line, '}');
+            }
 
-            const fileStr = files[key].replace(/\r\n/g, '\n');
-            let fileArr = fileStr.split('\n');
+            if (line.includes('topology-longest-match') && line.includes('yes')) {
+                longestMatchEnabled = true;
+            }
 
             // gtm topology
-            const newFileArr = [];
-            const topologyArr = [];
-            let topologyCount = 0;
-            let longestMatchEnabled = false;
-            let inTopology = false;
-            let irule = 0;
-            fileArr.forEach((line) => {
-                // Process comments in iRules:
-                if (irule === 0) {
-                    if (line.trim().startsWith('# ')) {
-                        // mark comments outside of irules with specific prefix
-                        line = line.trim().replace('# ', '#comment# ');
-                    } else if (line.includes('ltm rule')) irule += 1;
-                // don't count brackets in commented or special lines
-                } else if (!line.trim().startsWith('#')) {
-                    irule = irule + countChar(line, '{') - countChar(line, '}');
-                }
-
-                let ldns = '';
-                let server = '';
-                if (line.includes('topology-longest-match') && line.includes('yes')) {
-                    longestMatchEnabled = true;
+            if (line.startsWith('gtm topology ldns:')) {
+                inTopology = true;
+                if (topologyArr.length === 0) {
+                    topologyArr.push('gtm topology /Common/Shared/topology {');
+                    topologyArr.push('    records {');
                 }
-                if (line.startsWith('gtm topology ldns:')) {
-                    inTopology = true;
-                    if (topologyArr.length === 0) {
-                        topologyArr.push('gtm topology /Common/Shared/topology {');
-                        topologyArr.push('    records {');
-                    }
-                    const ldnsIndex = line.indexOf('ldns:');
-                    const serverIndex = line.indexOf('server:');
-                    const bracketIndex = line.indexOf('{');
-                    ldns = line.slice(ldnsIndex + 5, serverIndex).trim();
-                    topologyArr.push(`        topology_${topologyCount} {`);
-                    topologyCount += 1;
-                    topologyArr.push(`            source ${ldns}`);
-                    server = line.slice(serverIndex + 7, bracketIndex).trim();
-                    topologyArr.push(`            destination ${server}`);
-                } else if (inTopology) {
-                    if (line === '}') {
-                        inTopology = false;
-                        topologyArr.push('        }');
-                    } else {
-                        topologyArr.push(`        ${line}`);
-                    }
+                const ldnsIndex = line.indexOf('ldns:');
+                const serverIndex = line.indexOf('server:');
+                const bracketIndex = line.indexOf('{');
+                const ldns = line.slice(ldnsIndex + 5, serverIndex).trim();
+                topologyArr.push(`        topology_${topologyCount} {`);
+                topologyCount += 1;
+                topologyArr.push(`            source ${ldns}`);
+                const server = line.slice(serverIndex + 7, bracketIndex).trim();
+                topologyArr.push(`            destination ${server}`);
+            } else if (inTopology) {
+                if (line === '}') {
+                    inTopology = false;
+                    topologyArr.push('        }');
                 } else {
-                    newFileArr.push(line);
+                    topologyArr.push(`        ${line}`);
                 }
-            });
+            } else {
+                pass(line, lineNumber);
+            }
+
+            // keep origin line of generated topology lines
+            while (topologyLines.length < topologyArr.length) topologyLines.push(lineNumber);
+        },
+
+        end: () => {
             if (topologyArr.length) {
                 topologyArr.push(`        longest-match-enabled ${longestMatchEnabled}`);
                 topologyArr.push('    }');
                 topologyArr.push('}');
+                const lastLine = topologyLines[topologyLines.length - 1];
+                topologyArr.forEach((line, i) => pass(line, topologyLines[i] || lastLine));
             }
-            fileArr = newFileArr.concat(topologyArr);
+        }
+    };
+}
 
-            // filter whitespace && found comments
-            fileArr = fileArr.filter((line) => !(line === '' || line.trim().startsWith('#comment# ')));
+// parse file line by line: preprocessor -> stanza tokenizer -> orchestrate
+// every line is tokenized once, tokenizing time is linear in the file size
+// origin of every root object is recorded in provenance: { file, startLine, endLine }
+// malformed objects are skipped and recorded in parseErrors if provided, otherwise parsing fails
+function parseFile(fileStr, file, data, provenance, parseErrors) {
+    const onError = (stanza, lines, message) => {
+        const startLine = lines[0];
+        const endLine = lines[lines.length - 1];
+        log.warn(`Skipping malformed object ${getTitle(stanza[0])} (${formatSource({ file, startLine, endLine })}): ${message}`);
+        parseErrors.push({
+            file,
+            startLine,
+            endLine,
+            message,
+            text: stanza.join('\n')
+        });
+    };
+
+    const tokenizer = stanzaTokenizer((stanza, lines) => {
+        let parsed;
+        try {
+            // orchestrate mutates array, keep raw lines for error report
+            parsed = orchestrate(parseErrors ? stanza.slice(0) : stanza, { file, lines });
+        } catch (e) {
+            if (!parseErrors) throw e;
+            onError(stanza, lines, e.message);
+            return;
+        }
+        const key = Object.keys(parsed)[0];
+        data[key] = parsed[key];
+        provenance[key] = { file, startLine: lines[0], endLine: lines[lines.length - 1] };
+    }, parseErrors ? onError : undefined);
+    const preprocessor = createPreprocessor(tokenizer.push);
+
+    forEachLine(fileStr, preprocessor.push);
+    preprocessor.end();
+    tokenizer.end();
+}
 
-            const groupArr = groupObjects(fileArr).map((obj) => orchestrate(obj));
-            data = Object.assign(data, ...groupArr);
+// do not parse filestore of any partition (certs, keys, data-group files, monitor scripts), scripts or license
+const isConfigFile = (key) => !key.includes('filestore_temp/files_d/')
+    && !key.includes('bigip_script.conf')
+    && !key.includes('.license');
+
+// provenance (optional) is filled with origin of every parsed object
+// parseErrors (optional) enables recovery mode: array is filled with skipped malformed objects
+module.exports = (files, provenance = {}, parseErrors = null) => {
+    try {
+        const data = {};
+
+        Object.keys(files).forEach((key) => {
+            if (!isConfigFile(key)) return;
+
+            log.debug(`Parsing ${key}`);
+            parseFile(files[key], key, data, provenance, parseErrors);
         });
 
         return data;
@@ -275,3 +293,5 @@ module.exports = (files) => {
         throw e;
     }
 };
+
+module.exports.isConfigFile = isConfigFile;
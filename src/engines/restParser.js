@@ -0,0 +1,189 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const log = require('../util/log');
+
+// REST-only properties that have no tmsh counterpart
+const restMetadata = ['fullPath', 'generation', 'kind', 'name', 'partition', 'selfLink', 'subPath'];
+
+// 'tm:ltm:monitor:http:httpstate' => 'ltm monitor http'
+const kindToKey = (kind) => kind.split(':').slice(1, -1).join(' ');
+
+// 'minActiveMembers' => 'min-active-members', 'tmDefault' => 'default'
+const camelToHyphens = (str) => str
+    .replace(/^tm([A-Z])/, '$1')
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .toLowerCase();
+
+// strings with whitespace are quoted in tmsh
+const toTmshStr = (val) => {
+    const str = val.toString().trim();
+    if (str === '' || /\s/.test(str)) return `"${str.replace(/"/g, '\\"')}"`;
+    return str;
+};
+
+// REST name of collection item, tmsh uses full path as a key where possible
+const getItemName = (item) => {
+    if (item.fullPath) return item.fullPath;
+    if (item.partition) return `/${[item.partition, item.subPath, item.name].filter((x) => x).join('/')}`;
+    return item.name;
+};
+
+// 'min 1 of { /Common/http /Common/tcp }' => { 'monitor min 1 of': ['/Common/http', '/Common/tcp'] }
+const convertMonitor = (val) => {
+    const str = val.trim();
+    if (!str.startsWith('min ')) return { monitor: str };
+
+    const split = str.split('{');
+    return { [`monitor ${split[0].trim()}`]: split[1].replace('}', '').trim().split(/\s+/) };
+};
+
+let convertProps;
+
+const convertValue = (val) => {
+    if (Array.isArray(val)) {
+        // array of named objects ('persist', 'records', subcollection items)
+        if (val.every((x) => typeof x === 'object' && x.name !== undefined)) {
+            return Object.assign({}, ...val.map((x) => ({ [getItemName(x)]: convertProps(x) })));
+        }
+
+        // array of object references are multi-line objects in tmsh
+        if (val.every((x) => typeof x === 'string' && x.startsWith('/'))) {
+            return Object.assign({}, ...val.map((x) => ({ [x]: '' })));
+        }
+
+        return val.map((x) => (typeof x === 'object' ? convertProps(x) : toTmshStr(x)));
+    }
+    if (typeof val === 'object') return convertProps(val);
+    return toTmshStr(val);
+};
+
+// convert REST object properties to parser-compatible properties
+convertProps = (obj) => {
+    const props = {};
+
+    Object.keys(obj).forEach((restKey) => {
+        const val = obj[restKey];
+        if (restMetadata.includes(restKey) || val === null) return;
+
+        if (restKey.endsWith('Reference')) {
+            // expanded subcollection, ex: 'membersReference', 'profilesReference'
+            if (val.isSubcollection && Array.isArray(val.items)) {
+                props[camelToHyphens(restKey.replace(/Reference$/, ''))] = convertValue(val.items);
+            } else if (val.isSubcollection) {
+                log.warn(`Subcollection not expanded, use 'expandSubcollections=true': ${val.link}`);
+            }
+            return;
+        }
+
+        // flags in tmsh, ex: 'vlans-enabled', 'ip-forward'
+        if (typeof val === 'boolean') {
+            if (val) props[camelToHyphens(restKey)] = '';
+            return;
+        }
+
+        if (restKey === 'monitor' && typeof val === 'string') {
+            Object.assign(props, convertMonitor(val));
+            return;
+        }
+
+        props[camelToHyphens(restKey)] = convertValue(val);
+    });
+
+    return props;
+};
+
+// tmsh lists profile context only if it's not 'all'
+const cleanupProfiles = (props) => {
+    if (props.profiles) {
+        Object.keys(props.profiles).forEach((prof) => {
+            if (props.profiles[prof].context === 'all') delete props.profiles[prof].context;
+        });
+    }
+    return props;
+};
+
+// convert single REST object ('<...>state' kind)
+const convertObject = (obj) => {
+    const type = kindToKey(obj.kind);
+    const name = (obj.fullPath || obj.name) ? getItemName(obj) : '';
+    const key = name ? `${type} ${name}` : type;
+
+    // iRules are kept as multiline string
+    if (type === 'ltm rule' || type === 'gtm rule') {
+        return { [key]: obj.apiAnonymous || '' };
+    }
+
+    return { [key]: cleanupProfiles(convertProps(obj)) };
+};
+
+// unwrap REST payload: collection, single object or array of them
+const collectObjects = (payload) => {
+    if (Array.isArray(payload)) return [].concat(...payload.map(collectObjects));
+    if (!payload || typeof payload !== 'object' || !payload.kind) return [];
+
+    if (payload.kind.endsWith('collectionstate')) {
+        return [].concat(...(payload.items || []).map(collectObjects));
+    }
+    if (!payload.kind.endsWith('state')) {
+        log.debug(`Skipping REST payload of kind ${payload.kind}`);
+        return [];
+    }
+    return [payload];
+};
+
+// check if file content is iControl REST JSON payload
+const isRestPayload = (str) => typeof str === 'string' && /^\s*[[{]/.test(str);
+
+// convert iControl REST JSON exports ('/mgmt/tm/ltm/*', '/mgmt/tm/sys/*', '/mgmt/tm/gtm/*')
+// into the same '<module> <type> <fullPath>': props map as parser.js produces
+// provenance (optional) is filled with origin file of every object, REST payloads have no lines
+// parseErrors (optional) enables recovery mode: malformed files are skipped and recorded
+module.exports = (files, provenance = {}, parseErrors = null) => {
+    try {
+        const data = {};
+
+        Object.keys(files).forEach((key) => {
+            log.debug(`Parsing REST payload ${key}`);
+
+            let payload;
+            try {
+                payload = JSON.parse(files[key]);
+            } catch (e) {
+                if (!parseErrors) throw e;
+                log.warn(`Skipping malformed REST payload ${key}: ${e.message}`);
+                parseErrors.push({ file: key, message: e.message, text: files[key].slice(0, 200) });
+                return;
+            }
+
+            collectObjects(payload)
+                .map(convertObject)
+                .forEach((converted) => {
+                    Object.assign(data, converted);
+                    provenance[Object.keys(converted)[0]] = { file: key };
+                });
+        });
+
+        return data;
+    } catch (e) {
+        e.message = `Error parsing REST input file. Please open an issue at https://github.com/f5devcentral/f5-automation-config-converter/issues and include the following error:\n${e.message}`;
+        throw e;
+    }
+};
+
+module.exports.isRestPayload = isRestPayload;
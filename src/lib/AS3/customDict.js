@@ -19,6 +19,7 @@
 /* eslint-disable global-require */
 
 const dictArr = [
+    require('./customMaps/access'),
     require('./customMaps/certificate'),
     require('./customMaps/cipher'),
     require('./customMaps/data_group'),
@@ -39,7 +40,8 @@ const dictArr = [
     require('./customMaps/security'),
     require('./customMaps/service'),
     require('./customMaps/service_address'),
-    require('./customMaps/snat_pool')
+    require('./customMaps/snat_pool'),
+    require('./customMaps/waf_policy')
 ];
 
 module.exports = Object.assign(...dictArr);
@@ -16,14 +16,14 @@
 
 'use strict';
 
-const customDict = require('./customDict');
+const versionRules = require('../versionRules');
 
 // Profile-specific key/value overrides:
 // return both key and value
 // to remove prop entirely, return empty object
 module.exports = (key, value, confKey) => {
     // use custom dict if prop is present
-    const customClass = customDict[confKey];
+    const customClass = versionRules.customDict()[confKey];
     if (customClass && customClass.keyValueRemaps && customClass.keyValueRemaps[key]) {
         return customClass.keyValueRemaps[key](key, value);
     }
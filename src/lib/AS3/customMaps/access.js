@@ -0,0 +1,75 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const path = require('path');
+const apmPolicies = require('../../apmPolicies');
+const log = require('../../../util/log');
+
+// exported APM policies are imported by AS3 from URL, file URL is resolved on target BIG-IP
+const DOWNLOADS_DIR = '/var/config/rest/downloads';
+
+// Access_Profile/Per_Request_Access_Policy from exported tarball, existing BIG-IP policy otherwise
+const fromExport = (rootObj, loc) => {
+    const newObj = {};
+    const policyFile = apmPolicies.find(loc.original);
+
+    if (!policyFile) {
+        apmPolicies.add(loc.original, {
+            status: 'bigip',
+            reason: 'exported policy tarball is not found in --apm-policy-dir'
+        });
+        return newObj;
+    }
+
+    // tarball is not embedded, it must be uploaded to target BIG-IP before declaration is posted
+    const upload = `${DOWNLOADS_DIR}/${path.basename(policyFile.file)}`;
+    rootObj.url = `file://${upload}`;
+    log.warn(`APM policy tarball ${policyFile.file} must be uploaded to ${upload} on target BIG-IP`);
+    apmPolicies.add(loc.original, {
+        status: 'url', file: policyFile.file, url: rootObj.url, upload
+    });
+
+    newObj[loc.profile] = rootObj;
+    return newObj;
+};
+
+module.exports = {
+
+    // Access_Profile
+    'apm profile access': {
+        class: 'Access_Profile',
+
+        customHandling: (rootObj, loc) => {
+            // apply imported policy, as it is applied on source BIG-IP
+            rootObj.enable = true;
+            return fromExport(rootObj, loc);
+        }
+    },
+
+    // Per_Request_Access_Policy
+    'apm policy access-policy': {
+        class: 'Per_Request_Access_Policy',
+
+        customHandling: (rootObj, loc, file) => {
+            // access policy of profile is exported together with its 'apm profile access'
+            if (file[loc.original].type !== 'per-rq-policy') return {};
+
+            return fromExport(rootObj, loc);
+        }
+    }
+};
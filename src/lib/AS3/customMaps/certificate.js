@@ -18,6 +18,7 @@
 
 const buildProtectedObj = require('../../../util/convert/buildProtectedObj');
 const loadCertsAndKeys = require('../../../util/convert/loadCertsAndKeys');
+const renames = require('../../renames');
 
 module.exports = {
 
@@ -62,6 +63,11 @@ module.exports = {
             }
             delete rootObj.sourcePath;
             newObj[cert.name] = rootObj;
+
+            // extension is stripped and '-' replaced by loadCertsAndKeys
+            if (cert.name !== path.split('/').at(-1)) {
+                renames.addPointer(loc.original, `/${loc.tenant}/${loc.app}/${cert.name}`);
+            }
             return newObj;
         }
     },
@@ -16,8 +16,14 @@
 
 'use strict';
 
+const externalDataGroups = require('../../externalDataGroups');
+const loadFilestoreFile = require('../../../util/convert/loadFilestoreFile');
+const parseDataGroupFile = require('../../../util/convert/parseDataGroupFile');
 const unquote = require('../../../util/convert/unquote');
 
+// larger data-group files are not embedded into declaration, but referenced by Pointer_Data_Group_File
+const MAX_EMBEDDED_SIZE = 512 * 1024;
+
 module.exports = {
 
     // Data_Group
@@ -71,13 +77,33 @@ module.exports = {
             // pull extra props from ref'd 'sys file data-group'
             if (rootObj.dataGroupFile) {
                 const dgfPath = rootObj.dataGroupFile.bigip;
-                const dgFile = origObj[`sys file data-group ${dgfPath}`];
+                const dgFile = origObj[`sys file data-group ${dgfPath}`] || {};
+                const content = loadFilestoreFile(dgFile['cache-path']);
 
                 rootObj.separator = dgFile.separator || ':=';
 
-                if (dgFile['source-path']) {
+                // embed records of file extracted from UCS
+                if (content !== undefined && content.length <= MAX_EMBEDDED_SIZE) {
+                    rootObj.keyDataType = rootObj.keyDataType || dgFile.type || 'string';
+                    rootObj.records = parseDataGroupFile(content, rootObj.keyDataType, rootObj.separator);
+                    rootObj.storageType = 'internal';
+                    delete rootObj.dataGroupFile;
+                    delete rootObj.separator;
+                    externalDataGroups.add(loc.original, { conversion: 'records', records: rootObj.records.length });
+
+                // file is not extracted, AS3 imports it from its source
+                } else if (content === undefined && dgFile['source-path']) {
                     rootObj.externalFilePath = dgFile['source-path'];
                     delete rootObj.dataGroupFile;
+                    externalDataGroups.add(loc.original, { conversion: 'externalFilePath' });
+
+                // too large file is kept on target BIG-IP
+                } else {
+                    externalDataGroups.add(loc.original, {
+                        conversion: 'dataGroupFile',
+                        reason: content === undefined ? `file ${dgfPath} is not found in filestore`
+                            : `file ${dgfPath} exceeds ${MAX_EMBEDDED_SIZE} bytes`
+                    });
                 }
             }
 
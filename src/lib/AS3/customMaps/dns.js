@@ -17,6 +17,7 @@
 'use strict';
 
 const buildProtectedObj = require('../../../util/convert/buildProtectedObj');
+const getRouteDomainId = require('../../../util/convert/getRouteDomainId');
 const handleObjectRef = require('../../../util/convert/handleObjectRef');
 const unquote = require('../../../util/convert/unquote');
 
@@ -36,7 +37,8 @@ module.exports = {
         class: 'DNS_Nameserver',
 
         keyValueRemaps: {
-            routeDomain: () => ({}),
+            // default route domain is omitted
+            routeDomain: (key, val) => (getRouteDomainId(val) === 0 ? {} : { routeDomain: { bigip: val } }),
 
             tsigKey: (key, val) => ({ tsigKey: handleObjectRef(val) })
         }
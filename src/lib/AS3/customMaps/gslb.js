@@ -18,6 +18,7 @@
 
 const handleObjectRef = require('../../../util/convert/handleObjectRef');
 const isIPv4 = require('../../../util/convert/isIPv4');
+const loadMonitorScript = require('../../../util/convert/loadMonitorScript');
 const returnEmptyObjIfNone = require('../../../util/convert/returnEmptyObjIfNone');
 const unquote = require('../../../util/convert/unquote');
 
@@ -33,9 +34,10 @@ module.exports = {
             remark: (key, val) => ({ remark: unquote(val) })
         },
 
-        customHandling: (rootObj, loc) => {
+        customHandling: (rootObj, loc, file) => {
             const newObj = {};
             rootObj.monitorType = 'external';
+            rootObj = loadMonitorScript(rootObj, loc, file);
             newObj[loc.profile] = rootObj;
             return newObj;
         }
@@ -383,6 +385,11 @@ module.exports = {
             if (rootObj.pools) {
                 rootObj.pools = Object.keys(rootObj.pools).map((x) => handleObjectRef(x));
             }
+
+            // iRules, order is significant
+            if (rootObj.iRules) {
+                rootObj.iRules = Object.keys(rootObj.iRules).map((x) => handleObjectRef(x));
+            }
             newObj[loc.profile] = rootObj;
             return newObj;
         }
@@ -411,6 +418,11 @@ module.exports = {
             if (rootObj.pools) {
                 rootObj.pools = Object.keys(rootObj.pools).map((x) => handleObjectRef(x));
             }
+
+            // iRules, order is significant
+            if (rootObj.iRules) {
+                rootObj.iRules = Object.keys(rootObj.iRules).map((x) => handleObjectRef(x));
+            }
             newObj[loc.profile] = rootObj;
             return newObj;
         }
@@ -439,6 +451,11 @@ module.exports = {
             if (rootObj.pools) {
                 rootObj.pools = Object.keys(rootObj.pools).map((x) => handleObjectRef(x));
             }
+
+            // iRules, order is significant
+            if (rootObj.iRules) {
+                rootObj.iRules = Object.keys(rootObj.iRules).map((x) => handleObjectRef(x));
+            }
             newObj[loc.profile] = rootObj;
             return newObj;
         }
@@ -467,6 +484,11 @@ module.exports = {
             if (rootObj.pools) {
                 rootObj.pools = Object.keys(rootObj.pools).map((x) => handleObjectRef(x));
             }
+
+            // iRules, order is significant
+            if (rootObj.iRules) {
+                rootObj.iRules = Object.keys(rootObj.iRules).map((x) => handleObjectRef(x));
+            }
             newObj[loc.profile] = rootObj;
             return newObj;
         }
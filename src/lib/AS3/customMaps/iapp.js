@@ -16,140 +16,133 @@
 
 'use strict';
 
+const discoveryPlaceholders = require('../../discoveryPlaceholders');
+const log = require('../../../util/log');
+const parseIappService = require('../../../util/convert/parseIappService');
 const unquote = require('../../../util/convert/unquote');
 
+const { PLACEHOLDER } = discoveryPlaceholders;
+
+// secrets are master-key encrypted ($M$...) in BIG-IP config and can't be used in declaration
+const isEncrypted = (value) => value.startsWith('$M$');
+
+const encode = (value) => Buffer.from(value).toString('base64');
+
+/* SERVICE DISCOVERY PROPERTIES PER CLOUD PROVIDER
+ * set(prop, variable, format) copies iApp variable to Address_Discovery property and returns true if it is set,
+ * encrypted values get placeholder, required(prop, variable, format) also uses placeholder if variable is not set
+ */
+const providers = {
+    aws: (vars, set, required, discovery) => {
+        // empty region is region of BIG-IP
+        if (!set('region', 'cloud__aws_region')) discovery.region = '';
+        if (vars.cloud__aws_access_key_id || vars.cloud__aws_secret_access_key) {
+            required('accessKeyId', 'cloud__aws_access_key_id');
+            required('secretAccessKey', 'cloud__aws_secret_access_key', encode);
+        }
+        if (vars.cloud__aws_use_role === 'yes') {
+            required('roleARN', 'cloud__aws_role_arn');
+            required('externalId', 'cloud__aws_external_id');
+        }
+    },
+
+    azure: (vars, set, required) => {
+        required('resourceGroup', 'cloud__azure_resource_group');
+        required('subscriptionId', 'cloud__azure_subscription_id');
+        required('directoryId', 'cloud__azure_tenant_id');
+        required('applicationId', 'cloud__azure_client_id');
+        required('apiAccessKey', 'cloud__azure_sp_secret', encode);
+        set('environment', 'cloud__azure_environment');
+    },
+
+    consul: (vars, set, required) => {
+        required('uri', 'cloud__consul_uri');
+        set('encodedToken', 'cloud__consul_token', encode);
+        set('rejectUnauthorized', 'cloud__consul_reject_unauthorized', (value) => value !== 'no');
+        set('jmesPathQuery', 'cloud__consul_jmespath_query');
+    },
+
+    gce: (vars, set, required, discovery) => {
+        set('encodedCredentials', 'cloud__gce_credentials_json_base64', encode);
+        // empty region is region of BIG-IP
+        if (!set('region', 'cloud__gce_region')) discovery.region = '';
+    }
+};
+
 module.exports = {
 
     // Service Discovery iApps
     'sys application service': {
 
-        // class: 'Service_Discovery_Azure',
         class: 'Pool',
 
         keyValueRemaps: {
             remark: (key, val) => ({ remark: unquote(val) })
         },
 
+        // Pool named after the service, its member is discovered by shared Address_Discovery '<name>_discovery'
         customHandling: (rootObj, loc) => {
             // Support only service discovery iapp
-            if (rootObj.template !== '/Common/f5.service_discovery') return {};
-
-            const newObj = {};
-            const members = [];
-            const member = {};
-            const tags = rootObj.variables;
-
-            // tagKey
-            if (tags.pool__tag_key) {
-                member.tagKey = tags.pool__tag_key.value;
+            if (parseIappService.templateName(rootObj.template) !== 'f5.service_discovery') return {};
+
+            const { variables } = parseIappService(rootObj);
+            const provider = variables.cloud__cloud_provider;
+            const discoveryName = `${loc.profile}_discovery`;
+            const missing = [];
+
+            const addressDiscovery = {
+                class: 'Address_Discovery',
+                addressDiscovery: provider,
+                credentialUpdate: false
+            };
+            const placeholder = (prop) => {
+                addressDiscovery[prop] = PLACEHOLDER;
+                missing.push(prop);
+            };
+            const set = (prop, variable, format = (value) => value) => {
+                const value = variables[variable];
+                if (value === undefined || value === '') return false;
+                if (isEncrypted(value)) placeholder(prop);
+                else addressDiscovery[prop] = format(value);
+                return true;
+            };
+            const required = (prop, variable, format) => {
+                if (!set(prop, variable, format)) placeholder(prop);
+            };
+
+            if (!providers[provider]) {
+                log.warn(`Unsupported cloud provider '${provider}' of service discovery iApp: ${loc.original}`);
+                delete rootObj.variables;
+                delete rootObj.template;
+                return { [loc.profile]: rootObj };
             }
 
-            // tagValue
-            if (tags.pool__tag_value) {
-                member.tagValue = tags.pool__tag_value.value;
-            }
+            if (variables.pool__interval) addressDiscovery.updateInterval = parseInt(variables.pool__interval, 10);
+            set('addressRealm', 'pool__public_private');
 
-            // updateInterval
-            if (tags.pool__interval) {
-                member.updateInterval = parseInt(tags.pool__interval.value, 10);
+            // cloud providers discover members by tag
+            if (provider !== 'consul') {
+                required('tagKey', 'pool__tag_key');
+                required('tagValue', 'pool__tag_value');
             }
+            providers[provider](variables, set, required, addressDiscovery);
 
-            // addressRealm
-            if (tags.pool__public_private) {
-                member.addressRealm = tags.pool__public_private.value;
-            }
+            if (missing.length) discoveryPlaceholders.add(`/${loc.tenant}/${loc.app}/${discoveryName}`, missing);
 
             // servicePort is required
-            if (tags.pool__member_port) {
-                member.servicePort = parseInt(tags.pool__member_port.value, 10);
-            } else {
-                member.servicePort = 80;
-            }
-
-            // addressDiscovery
-            if (tags.cloud__cloud_provider) {
-                member.addressDiscovery = tags.cloud__cloud_provider.value;
-
-                // credentialUpdate
-                member.credentialUpdate = false;
-
-                // Azure case
-                if (tags.cloud__cloud_provider.value === 'azure') {
-                    // resourceGroup is required
-                    if (tags.cloud__azure_resource_group) {
-                        member.resourceGroup = tags.cloud__azure_resource_group.value;
-                    } else {
-                        member.resourceGroup = '-';
-                    }
-
-                    //  cloud__azure_subscription_id is required
-                    if (tags.cloud__azure_subscription_id) {
-                        member.subscriptionId = tags.cloud__azure_subscription_id.value;
-                    } else {
-                        member.subscriptionId = '-';
-                    }
-
-                    // directoryId is required
-                    if (tags.cloud__azure_tenant_id) {
-                        member.directoryId = tags.cloud__azure_tenant_id.value;
-                    } else {
-                        member.directoryId = '-';
-                    }
-
-                    // cloud__azure_client_id is required
-                    if (tags.cloud__azure_client_id) {
-                        member.applicationId = tags.cloud__azure_client_id.value;
-                    } else {
-                        member.applicationId = '-';
-                    }
-
-                    // apiAccessKey is required
-                    if (tags.cloud__azure_sp_secret) {
-                        member.apiAccessKey = Buffer.from(tags.cloud__azure_sp_secret.value).toString('base64');
-                    } else {
-                        member.apiAccessKey = '-';
-                    }
-
-                // AWS case
-                } else if (tags.cloud__cloud_provider.value === 'aws') {
-                    // region
-                    if (tags.cloud__aws_region) {
-                        member.region = tags.cloud__aws_region.value;
-                    }
-
-                    // accessKeyId is required together with secretAccessKey
-                    if (tags.cloud__aws_access_key_id && tags.cloud__aws_secret_access_key) {
-                        member.accessKeyId = tags.cloud__aws_access_key_id.value;
-                        member.secretAccessKey = Buffer.from(tags.cloud__aws_secret_access_key.value).toString('base64');
-                    }
-
-                    // roleARN is required together with externalId
-                    if (tags.cloud__aws_role_arn && tags.cloud__aws_external_id) {
-                        member.roleARN = tags.cloud__aws_role_arn.value;
-                        member.externalId = tags.cloud__aws_external_id.value;
-                    }
-
-                // GCE case
-                } else if (tags.cloud__cloud_provider.value === 'gce') {
-                    // encodedCredentials
-                    if (tags.cloud__gce_credentials_json_base64) {
-                        member.encodedCredentials = Buffer.from(tags.cloud__gce_credentials_json_base64.value).toString('base64');
-                    }
-
-                    // region
-                    if (tags.cloud__gce_region) {
-                        member.region = tags.cloud__gce_region.value;
-                    }
-                }
+            const member = { servicePort: parseInt(variables.pool__member_port || 80, 10) };
+            if (parseInt(variables.pool__member_conn_limit, 10)) {
+                member.connectionLimit = parseInt(variables.pool__member_conn_limit, 10);
             }
+            member.addressDiscovery = { use: discoveryName };
 
-            members.push(member);
-            rootObj.members = members;
-
+            rootObj.members = [member];
             delete rootObj.variables;
             delete rootObj.template;
-            newObj[loc.profile] = rootObj;
-            return newObj;
+            return {
+                [loc.profile]: rootObj,
+                [discoveryName]: addressDiscovery
+            };
         }
     }
 };
@@ -16,16 +16,113 @@
 
 'use strict';
 
+const path = require('path');
+const bigipRefs = require('../../bigipRefs');
+const handleObjectRef = require('../../../util/convert/handleObjectRef');
+const isIPv4 = require('../../../util/convert/isIPv4');
+const isIPv6 = require('../../../util/convert/isIPv6');
+const renames = require('../../renames');
+const rewriteIruleRefs = require('../../../util/convert/rewriteIruleRefs');
+const unresolvedIruleRefs = require('../../unresolvedIruleRefs');
+const versionRules = require('../../versionRules');
+
+// tmsh types of objects referenced by iRule commands,
+// other full paths ('path') are looked up among objects of every type
+const LTM_REF_TYPES = {
+    class: ['ltm data-group internal', 'ltm data-group external'],
+    ifile: ['ltm ifile'],
+    node: ['ltm node'],
+    pool: ['ltm pool'],
+    profile: ['ltm profile client-ssl', 'ltm profile server-ssl'],
+    publisher: ['sys log-config publisher'],
+    snatpool: ['ltm snatpool'],
+    virtual: ['ltm virtual']
+};
+
+// 'pool' command of GTM iRule selects GTM pool, untyped before 12.0
+const GTM_REF_TYPES = Object.assign({}, LTM_REF_TYPES, {
+    pool: ['gtm pool', 'gtm pool a', 'gtm pool aaaa', 'gtm pool cname', 'gtm pool mx', 'gtm pool naptr', 'gtm pool srv']
+});
+
+// node command takes address: '10.1.1.1', '10.1.1.1%2', '2001:db8::1'
+const isAddress = (name) => !name.includes('/') && (isIPv4(name.split('%')[0]) || isIPv6(name.split('%')[0]));
+
+// tmsh keys of config by original object path (before renames), built once per config
+const pathIndexes = new WeakMap();
+const keysOfPath = (objPath, file) => {
+    if (!pathIndexes.has(file)) {
+        const index = {};
+        Object.keys(file).forEach((key) => {
+            const original = (renames.renamedFrom(key) || key).split(' ').pop();
+            if (!index[original]) index[original] = [];
+            index[original].push(key);
+        });
+        pathIndexes.set(file, index);
+    }
+    return pathIndexes.get(file)[objPath] || [];
+};
+
+// tmsh key of referenced object after renames,
+// BIG-IP looks up relative names in folder of iRule, its partition and /Common
+const findRefKey = (kind, name, rulePath, file, refTypes) => {
+    const candidates = name.startsWith('/') ? [name]
+        : [`${path.dirname(rulePath)}/${name}`, `/${rulePath.split('/')[1]}/${name}`, `/Common/${name}`];
+    const types = refTypes[kind];
+    for (let i = 0; i < candidates.length; i += 1) {
+        const keys = keysOfPath(candidates[i], file);
+        const key = types ? keys.find((x) => types.some((type) => x.startsWith(`${type} `))) : keys[0];
+        if (key) return key;
+    }
+    return undefined;
+};
+
+// final AS3 path of object referenced by iRule, undefined if reference is kept as is
+const resolveRef = ({ kind, name }, rulePath, file, refTypes) => {
+    if (kind === 'node' && isAddress(name)) return undefined;
+    if (versionRules.isDefault(name) || versionRules.isDefault(`/Common/${name}`)) return undefined;
+
+    const key = findRefKey(kind, name, rulePath, file, refTypes);
+
+    // full path of other command is not necessarily an object (e.g. URI), only objects of config are rewritten
+    if (!key && kind === 'path') return undefined;
+
+    if (key && kind === 'node' && file[key].address) return file[key].address;
+    if (key && bigipRefs.isConverted(key)) return handleObjectRef(key.split(' ').pop()).use;
+
+    // objects ACC doesn't convert stay on BIG-IP, but not in partitions managed by AS3
+    if (key && key.split(' ').pop().startsWith('/Common/')) return undefined;
+    unresolvedIruleRefs.add(rulePath, `${kind} ${name}`);
+    return undefined;
+};
+
+// rewrite references of iRule 'ltm rule <path>' or 'gtm rule <path>'
+const rewriteRule = (loc, file, refTypes) => {
+    const rulePath = loc.original.split(' ').pop();
+    return rewriteIruleRefs(file[loc.original], (ref) => resolveRef(ref, rulePath, file, refTypes));
+};
+
 module.exports = {
 
+    // GSLB_iRule
+    'gtm rule': {
+        class: 'GSLB_iRule',
+
+        customHandling: (rootObj, loc, file) => {
+            const newObj = {};
+            const irule = rewriteRule(loc, file, GTM_REF_TYPES);
+            rootObj.iRule = { base64: Buffer.from(irule).toString('base64') };
+            newObj[loc.profile] = rootObj;
+            return newObj;
+        }
+    },
+
     // iRule
     'ltm rule': {
         class: 'iRule',
 
         customHandling: (rootObj, loc, file) => {
             const newObj = {};
-            let irule = file[loc.original];
-            irule = irule.replace(/\/Common/g, '/Common/Shared');
+            const irule = rewriteRule(loc, file, LTM_REF_TYPES);
             rootObj.iRule = { base64: Buffer.from(irule).toString('base64') };
             newObj[loc.profile] = rootObj;
             return newObj;
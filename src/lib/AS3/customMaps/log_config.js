@@ -16,11 +16,55 @@
 
 'use strict';
 
+const bigipRefs = require('../../bigipRefs');
 const handleObjectRef = require('../../../util/convert/handleObjectRef');
 const unquote = require('../../../util/convert/unquote');
 
+// destination types modeled by AS3 Log_Destination
+const AS3_TYPES = ['management-port', 'remote-high-speed-log', 'remote-syslog', 'splunk'];
+
+// type of destination by its path: 'sys log-config destination <type> <path>', built once per config
+const typeIndexes = new WeakMap();
+const getDestinationType = (destPath, file) => {
+    if (!typeIndexes.has(file)) {
+        const index = {};
+        Object.keys(file).filter((key) => key.startsWith('sys log-config destination ')).forEach((key) => {
+            const [, , , type, keyPath] = key.split(' ');
+            if (!index[keyPath]) index[keyPath] = type;
+        });
+        typeIndexes.set(file, index);
+    }
+    return typeIndexes.get(file)[destPath];
+};
+
+// reference to log destination, AS3 has no class for other types (alertd, arcsight, ipfix, local-database,
+// local-syslog), such destination must exist on target BIG-IP outside of tenant
+const destinationRef = (ref, file) => {
+    const destPath = unquote(ref);
+    const type = getDestinationType(destPath, file);
+    if (!type || AS3_TYPES.includes(type)) return handleObjectRef(destPath);
+    return bigipRefs.existing(destPath, `Log destination ${destPath} (${type}) is referenced as existing BIG-IP destination`);
+};
+
 module.exports = {
 
+    // Log_Destination (management-port)
+    'sys log-config destination management-port': {
+        class: 'Log_Destination',
+
+        keyValueRemaps: {
+            remark: (key, val) => ({ remark: unquote(val) })
+        },
+
+        customHandling: (rootObj, loc) => {
+            const newObj = {};
+            rootObj.type = 'management-port';
+
+            newObj[loc.profile] = rootObj;
+            return newObj;
+        }
+    },
+
     // Log_Destination (remote-high-speed-log)
     'sys log-config destination remote-high-speed-log': {
         class: 'Log_Destination',
@@ -59,6 +103,24 @@ module.exports = {
         }
     },
 
+    // Log_Destination (splunk)
+    'sys log-config destination splunk': {
+        class: 'Log_Destination',
+
+        keyValueRemaps: {
+            remark: (key, val) => ({ remark: unquote(val) })
+        },
+
+        customHandling: (rootObj, loc, file) => {
+            const newObj = {};
+            rootObj.type = 'splunk';
+            if (rootObj.forwardTo) rootObj.forwardTo = destinationRef(rootObj.forwardTo, file);
+
+            newObj[loc.profile] = rootObj;
+            return newObj;
+        }
+    },
+
     // Log_Publisher
     'sys log-config publisher': {
         class: 'Log_Publisher',
@@ -67,11 +129,11 @@ module.exports = {
             remark: (key, val) => ({ remark: unquote(val) })
         },
 
-        customHandling: (rootObj, loc) => {
+        customHandling: (rootObj, loc, file) => {
             const newObj = {};
 
             rootObj.destinations = rootObj.destinations
-                ? Object.keys(rootObj.destinations).map((x) => handleObjectRef(x))
+                ? Object.keys(rootObj.destinations).map((x) => destinationRef(x, file))
                 : [];
 
             newObj[loc.profile] = rootObj;
@@ -20,6 +20,7 @@ const buildProtectedObj = require('../../../util/convert/buildProtectedObj');
 const convertToNumberArray = require('../../../util/convert/convertToNumberArray');
 const handleObjectRef = require('../../../util/convert/handleObjectRef');
 const loadCertsAndKeys = require('../../../util/convert/loadCertsAndKeys');
+const loadMonitorScript = require('../../../util/convert/loadMonitorScript');
 const returnEmptyObjIfNone = require('../../../util/convert/returnEmptyObjIfNone');
 const unquote = require('../../../util/convert/unquote');
 
@@ -87,12 +88,13 @@ module.exports = {
             remark: (key, val) => ({ remark: unquote(val) })
         },
 
-        customHandling: (rootObj, loc) => {
+        customHandling: (rootObj, loc, file) => {
             const newObj = {};
             rootObj.monitorType = 'external';
             if (rootObj.pathname === undefined) rootObj.pathname = 'none';
 
             delete rootObj.destination;
+            rootObj = loadMonitorScript(rootObj, loc, file);
 
             newObj[loc.profile] = rootObj;
             return newObj;
@@ -19,9 +19,237 @@
 const handleObjectRef = require('../../../util/convert/handleObjectRef');
 const hyphensToCamel = require('../../../util/convert/hyphensToCamel');
 const unquote = require('../../../util/convert/unquote');
+const unsupportedPolicyRules = require('../../unsupportedPolicyRules');
+const wafPolicies = require('../../wafPolicies');
 
 const toCamelCase = (str) => str.replace(/-([a-z])/g, (g) => g[1].toUpperCase());
 
+const toList = (val) => (Array.isArray(val) ? val : Object.keys(val || {}));
+
+// events of tmsh policy conditions and actions, 'request' is not listed by tmsh
+const EVENTS = ['classification-detected', 'client-accepted', 'proxy-connect', 'proxy-request', 'proxy-response',
+    'request', 'response', 'server-connected', 'ssl-client-hello', 'ssl-client-serverhello-send',
+    'ssl-server-handshake', 'ssl-server-hello', 'ws-request', 'ws-response'];
+
+// events AS3 accepts for Policy_Condition_* and Policy_Action_* types, undefined means all of EVENTS
+const conditionEvents = {
+    httpCookie: ['proxy-connect', 'proxy-request', 'request'],
+    httpHeader: ['proxy-connect', 'proxy-request', 'proxy-response', 'request', 'response'],
+    httpMethod: ['proxy-request', 'request'],
+    httpUri: ['proxy-request', 'request'],
+    sslExtension: ['ssl-client-hello', 'ssl-server-hello']
+};
+const actionEvents = {
+    clientSsl: ['client-accepted', 'proxy-connect', 'proxy-request', 'proxy-response', 'request', 'server-connected'],
+    drop: ['proxy-request', 'request', 'ssl-client-hello'],
+    forward: ['request', 'ssl-client-hello'],
+    http: ['client-accepted', 'proxy-request', 'request', 'response', 'server-connected'],
+    httpCookie: ['request'],
+    httpHeader: ['request', 'response'],
+    httpRedirect: ['proxy-request', 'request', 'response'],
+    httpUri: ['request'],
+    persist: ['client-accepted', 'proxy-request', 'request'],
+    tcl: ['proxy-request', 'request', 'response', 'ssl-client-hello', 'ssl-server-handshake', 'ssl-server-hello'],
+    waf: ['client-accepted', 'proxy-request', 'request']
+};
+
+// tmsh 'persist' action methods: AS3 property and its required options
+const persistMethods = {
+    carp: { prop: 'carp', options: ['key', 'timeout'] },
+    'cookie-hash': { prop: 'cookieHash', options: ['name', 'offset', 'length', 'timeout'] },
+    'cookie-insert': { prop: 'cookieInsert', options: ['name', 'expiry'] },
+    'cookie-passive': { prop: 'cookiePassive', options: ['name'] },
+    'cookie-rewrite': { prop: 'cookieRewrite', options: ['name', 'expiry'] },
+    'destination-address': { prop: 'destinationAddress', options: ['netmask', 'timeout'] },
+    disable: { prop: 'disable', options: [] },
+    hash: { prop: 'hash', options: ['key', 'timeout'] },
+    'source-address': { prop: 'sourceAddress', options: ['netmask', 'timeout'] },
+    universal: { prop: 'universal', options: ['key', 'timeout'] }
+};
+const NUMBER_OPTIONS = ['length', 'offset', 'port', 'timeout'];
+
+// tmsh types Endpoint_Policy has no Policy_Condition_* or Policy_Action_* for,
+// Policy_Action_Client_SSL (encryption to backend servers) is tmsh 'server-ssl' action
+const NO_AS3_CONDITIONS = ['geoip', 'tcl'];
+const NO_AS3_ACTIONS = ['client-ssl'];
+
+// keywords of condition besides type, selector and event
+const MODIFIERS = ['all', 'case-sensitive', 'contains', 'datagroup', 'ends-with', 'equals', 'exists', 'greater',
+    'greater-or-equal', 'index', 'less', 'less-or-equal', 'matches', 'name', 'normalized', 'not', 'remote',
+    'starts-with', 'values'];
+
+const setEvent = (obj, oldKeys, allowed, defaultEvent) => {
+    obj.event = EVENTS.find((event) => oldKeys.includes(event)) || defaultEvent;
+    if (allowed && !allowed.includes(obj.event)) throw new Error(`event ${obj.event} of ${obj.type}`);
+};
+
+// values or data-group of condition
+const setValues = (compare, oldCondition) => {
+    if (oldCondition.values) compare.values = toList(oldCondition.values).map((x) => unquote(x));
+    if (oldCondition.datagroup) compare.datagroup = handleObjectRef(oldCondition.datagroup);
+};
+
+// Policy_Compare_String
+const compareString = (oldCondition, oldKeys) => {
+    const operands = ['ends-with', 'starts-with', 'contains', 'equals', 'exists'];
+    let operand = operands.find((x) => oldKeys.includes(x)) || 'equals';
+    if (oldKeys.includes('not')) {
+        // remove s to convert 'ends-with' to does-not-end-with
+        // and 'contains' to does-not-contain
+        operand = operand.replace(/s-/, '-').replace(/s$/, '');
+        operand = `does-not-${operand}`;
+    }
+    const compare = { operand };
+    setValues(compare, oldCondition);
+    if (oldKeys.includes('case-sensitive')) compare.caseSensitive = true;
+    return compare;
+};
+
+// Policy_Compare_Number
+const compareNumber = (oldCondition, oldKeys) => {
+    const operands = ['less-or-equal', 'greater-or-equal', 'less', 'greater', 'equals'];
+    let operand = operands.find((x) => oldKeys.includes(x)) || 'equals';
+    if (oldKeys.includes('not')) {
+        if (operand !== 'equals') throw new Error(`operand not ${operand}`);
+        operand = 'does-not-equal';
+    }
+    if (oldCondition.datagroup) throw new Error('data-group of numbers');
+    return { operand, values: toList(oldCondition.values).map((x) => parseInt(x, 10)) };
+};
+
+// Policy_Match_String
+const matchString = (oldCondition, oldKeys) => {
+    const compare = { operand: oldKeys.includes('not') ? 'does-not-match' : 'matches' };
+    setValues(compare, oldCondition);
+    return compare;
+};
+
+// selector of condition, 'all' if there is none
+const findSelector = (oldKeys, selectors, type) => {
+    const selector = selectors.find((x) => oldKeys.includes(x));
+    if (selector) return selector;
+    const unknown = oldKeys.slice(1).find((x) => !EVENTS.includes(x) && !MODIFIERS.includes(x));
+    if (unknown) throw new Error(`condition ${type} ${unknown}`);
+    return 'all';
+};
+
+// tmsh rule condition -> Policy_Condition_*
+const convertCondition = (oldCondition) => {
+    const oldKeys = Object.keys(oldCondition);
+    const type = oldKeys[0];
+    const newCondition = {};
+
+    if (type === 'http-uri') {
+        newCondition.type = 'httpUri';
+        const selector = findSelector(oldKeys, ['scheme', 'host', 'port', 'path', 'extension', 'query-string',
+            'query-parameter', 'unnamed-query-parameter', 'path-segment'], type);
+        newCondition[toCamelCase(selector)] = selector === 'port'
+            ? compareNumber(oldCondition, oldKeys) : compareString(oldCondition, oldKeys);
+    } else if (type === 'http-header' || type === 'http-cookie') {
+        newCondition.type = toCamelCase(type);
+        findSelector(oldKeys, [], type);
+        newCondition.all = compareString(oldCondition, oldKeys);
+    } else if (type === 'http-method') {
+        newCondition.type = 'httpMethod';
+        findSelector(oldKeys, [], type);
+        newCondition.all = compareString(oldCondition, oldKeys);
+    } else if (type === 'http-host') {
+        // host of request is the value of Host header
+        newCondition.type = 'httpHeader';
+        findSelector(oldKeys, ['host'], type);
+        newCondition.name = 'Host';
+        newCondition.all = compareString(oldCondition, oldKeys);
+    } else if (type === 'ssl-extension') {
+        newCondition.type = 'sslExtension';
+        const selector = findSelector(oldKeys, ['server-name', 'npn', 'alpn'], type);
+        if (selector === 'all') throw new Error(`condition ${type} without server-name, npn or alpn`);
+        newCondition[toCamelCase(selector)] = compareString(oldCondition, oldKeys);
+    } else if (type === 'tcp') {
+        newCondition.type = 'tcp';
+        if (oldKeys.includes('local')) throw new Error('condition tcp local');
+        // AS3 matches remote (client) address and port only
+        const selector = findSelector(oldKeys, ['address', 'port'], type);
+        if (selector === 'address') newCondition.address = matchString(oldCondition, oldKeys);
+        else if (selector === 'port') newCondition.port = compareNumber(oldCondition, oldKeys);
+        else throw new Error('condition tcp without address or port');
+    } else if (NO_AS3_CONDITIONS.includes(type)) {
+        throw new Error(`condition ${type} has no AS3 equivalent`);
+    } else {
+        throw new Error(`condition ${type}`);
+    }
+
+    const defaultEvent = newCondition.type === 'sslExtension' ? 'ssl-client-hello' : 'request';
+    setEvent(newCondition, oldKeys, conditionEvents[newCondition.type], defaultEvent);
+    if (oldCondition.index) newCondition.index = parseInt(oldCondition.index, 10);
+    if (oldCondition.name && !newCondition.name) newCondition.name = oldCondition.name;
+    if (oldKeys.includes('normalized')) newCondition.normalized = true;
+    return newCondition;
+};
+
+// tmsh rule action -> Policy_Action_*
+const convertAction = (oldAction) => {
+    const oldKeys = Object.keys(oldAction);
+    const type = oldKeys[0];
+    const newAction = {};
+
+    if (['http-header', 'http-cookie', 'http-uri'].includes(type)) {
+        newAction.type = toCamelCase(type);
+        const title = ['insert', 'replace', 'remove'].find((x) => oldKeys.includes(x));
+        if (!title) throw new Error(`action ${type} without insert, replace or remove`);
+        newAction[title] = {};
+        if (oldAction.name) newAction[title].name = oldAction.name;
+        if (oldAction.value) newAction[title].value = oldAction.value;
+        if (oldAction['query-string']) newAction[title].queryString = oldAction['query-string'];
+        if (oldAction.path) newAction[title].path = unquote(oldAction.path).replace(/\\/g, '');
+    } else if (type === 'http' || type === 'server-ssl') {
+        newAction.type = type === 'http' ? 'http' : 'clientSsl';
+        newAction.enabled = !oldKeys.includes('disable');
+    } else if (type === 'http-reply' && oldKeys.includes('redirect')) {
+        newAction.type = 'httpRedirect';
+        newAction.location = oldAction.location;
+    } else if (type === 'shutdown') {
+        newAction.type = 'drop';
+    } else if (type === 'forward' && oldKeys.includes('select')) {
+        newAction.type = 'forward';
+        if (oldAction.pool) newAction.select = { pool: handleObjectRef(oldAction.pool) };
+        else if (oldAction.virtual) newAction.select = { service: handleObjectRef(oldAction.virtual) };
+        else throw new Error('action forward select without pool or virtual');
+        if (oldAction.snat) newAction.select.snat = oldAction.snat === 'automap' ? 'automap' : 'disable';
+    } else if (type === 'asm') {
+        // AS3 disables ASM by waf action without policy
+        newAction.type = 'waf';
+        if (oldKeys.includes('enable') && oldAction.policy) newAction.policy = wafPolicies.pointer(oldAction.policy);
+    } else if (type === 'persist') {
+        newAction.type = 'persist';
+        const method = Object.keys(persistMethods).find((x) => oldKeys.includes(x));
+        if (!method) throw new Error(`action persist ${oldKeys.slice(1).join(' ')}`);
+        const { prop, options } = persistMethods[method];
+        newAction[prop] = {};
+        options.forEach((option) => {
+            if (oldAction[option] === undefined) throw new Error(`action persist ${method} without ${option}`);
+            newAction[prop][option] = NUMBER_OPTIONS.includes(option)
+                ? parseInt(oldAction[option], 10) : unquote(oldAction[option]);
+        });
+    } else if (type === 'tcl' && oldKeys.includes('set-variable') && oldAction.name && oldAction.expression) {
+        newAction.type = 'tcl';
+        newAction.setVariable = { name: oldAction.name, expression: unquote(oldAction.expression) };
+    } else if (type === 'log' && oldKeys.includes('write') && oldAction.message) {
+        newAction.type = 'log';
+        newAction.write = { message: unquote(oldAction.message) };
+        if (oldAction.facility) newAction.write.facility = oldAction.facility;
+        if (oldAction.priority) newAction.write.priority = oldAction.priority;
+        if (oldAction['ip-address']) newAction.write.ipAddress = oldAction['ip-address'];
+        if (oldAction.port) newAction.write.port = parseInt(oldAction.port, 10);
+    } else if (NO_AS3_ACTIONS.includes(type)) {
+        throw new Error(`action ${type} has no AS3 equivalent`);
+    } else {
+        throw new Error(`action ${oldKeys.filter((x) => !EVENTS.includes(x)).slice(0, 2).join(' ')}`);
+    }
+
+    setEvent(newAction, oldKeys, actionEvents[newAction.type], 'request');
+    return newAction;
+};
+
 module.exports = {
 
     // Endpoint_Policy
@@ -37,8 +265,12 @@ module.exports = {
         customHandling: (rootObj, loc) => {
             const newObj = {};
 
-            // rules
+            // L7 policy generated by BIG-IP for ASM, AS3 creates it for policyWAF of Service
+            if (loc.profile.startsWith('asm_auto_l7_policy__')) return newObj;
+
+            // rules, rule which cannot be represented completely is dropped and reported
             if (rootObj.rules) {
+                const policyPath = loc.original.replace('ltm policy ', '');
                 rootObj.rules = Object.keys(rootObj.rules).map((x) => {
                     const newRule = { name: unquote(x) };
                     const origRule = rootObj.rules[x];
@@ -46,135 +278,17 @@ module.exports = {
                     // description -> remark
                     if (origRule.description) newRule.remark = unquote(origRule.description);
 
-                    // rule conditions
-                    if (origRule.conditions) {
-                        newRule.conditions = Object.keys(origRule.conditions).map((y) => {
-                            const oldCondition = origRule.conditions[y];
-                            const oldKeys = Object.keys(oldCondition);
-                            const newCondition = {};
-
-                            // event
-                            if (oldKeys.includes('ssl-server-hello')) newCondition.event = 'ssl-server-hello';
-                            else if (oldKeys.includes('ssl-client-hello')) newCondition.event = 'ssl-client-hello';
-                            else newCondition.event = 'request';
-
-                            // index
-                            if (oldCondition.index) newCondition.index = parseInt(oldCondition.index, 10);
-
-                            // type
-                            const types = ['http-uri', 'http-cookie', 'http-header', 'ssl-extension'];
-                            for (let i = 0; i < types.length; i += 1) {
-                                const type = types[i];
-                                if (oldKeys.includes(type)) newCondition.type = toCamelCase(type);
-                            }
-
-                            // normalized
-                            if (oldKeys.includes('normalized')) newCondition.normalized = true;
-
-                            // name
-                            if (oldCondition.name) newCondition.name = oldCondition.name;
-
-                            const operands = ['ends-with', 'starts-with', 'contains', 'equals'];
-
-                            let operand = operands.filter((z) => oldKeys.includes(z))[0] || 'equals';
-
-                            if (oldKeys.includes('not')) {
-                                // remove s to convert 'ends-with' to does-not-end-with
-                                // and 'contains' to does-not-contain
-                                operand = operand.replace(/s-/, '-').replace(/s$/, '');
-                                operand = `does-not-${operand}`;
-                            }
-
-                            const titles = ['scheme', 'host', 'port', 'path', 'extension', 'query-string', 'server-name',
-                                'query-parameter', 'unnamed-query-parameter', 'path-segment', 'npn', 'alpn'];
-
-                            let titleFound = 0;
-                            for (let i = 0; i < titles.length; i += 1) {
-                                const title = titles[i];
-                                if (oldKeys.includes(title)) {
-                                    titleFound = 1;
-                                    const camelTitle = toCamelCase(title);
-                                    newCondition[camelTitle] = {};
-                                    if (oldCondition.values) {
-                                        if (Array.isArray(oldCondition.values)) {
-                                            newCondition[camelTitle].values = oldCondition.values;
-                                        } else {
-                                            newCondition[camelTitle].values = Object.keys(oldCondition.values);
-                                        }
-                                    }
-                                    if (camelTitle === 'port') {
-                                        newCondition[camelTitle].values = oldCondition.values
-                                            .map((z) => parseInt(z, 10));
-                                    }
-                                    newCondition[camelTitle].operand = operand;
-                                }
-                            }
-                            if (!titleFound) {
-                                newCondition.all = {};
-                                if (oldCondition.values) newCondition.all.values = oldCondition.values;
-                                newCondition.all.operand = operand;
-                            }
-
-                            return newCondition;
-                        });
-                    }
-
-                    // rule actions
-                    if (origRule.actions) {
-                        newRule.actions = Object.keys(origRule.actions).map((y) => {
-                            const oldAction = origRule.actions[y];
-                            const oldKeys = Object.keys(oldAction);
-                            const newAction = {};
-
-                            newAction.event = 'request';
-
-                            // type
-                            const typesMap = {
-                                'http-uri': toCamelCase('http-uri'),
-                                'http-cookie': toCamelCase('http-cookie'),
-                                'http-header': toCamelCase('http-header'),
-                                http: 'http',
-                                forward: 'forward',
-                                'server-ssl': 'clientSsl',
-                                redirect: 'httpRedirect',
-                                shutdown: 'drop',
-                                asm: 'waf'
-                            };
-                            Object.keys(typesMap).forEach((type) => {
-                                if (oldKeys.includes(type)) {
-                                    newAction.type = typesMap[type];
-                                }
-                            });
-
-                            // enabled
-                            if (oldKeys.includes('disable')) newAction.enabled = false;
-                            if (oldKeys.includes('enable')) newAction.enabled = true;
-
-                            // location
-                            if (oldKeys.includes('location')) newAction.location = oldAction.location;
-
-                            // find and build the title action
-                            if (oldKeys.includes('select')) {
-                                newAction.select = {};
-                                newAction.select.pool = handleObjectRef(oldAction.pool);
-                            } else {
-                                const titles = ['insert', 'replace', 'remove'];
-                                for (let i = 0; i < titles.length; i += 1) {
-                                    const title = titles[i];
-                                    if (oldKeys.includes(title)) {
-                                        newAction[title] = {};
-                                        if (oldAction.name) newAction[title].name = oldAction.name;
-                                        if (oldAction.value) newAction[title].value = oldAction.value;
-                                        if (oldAction['query-string']) newAction[title].queryString = oldAction['query-string'];
-                                        if (oldAction.path) newAction[title].path = unquote(oldAction.path).replace(/\\/g, '');
-                                    }
-                                }
-                            }
-                            return newAction;
-                        });
+                    try {
+                        if (origRule.conditions) {
+                            newRule.conditions = Object.values(origRule.conditions).map(convertCondition);
+                        }
+                        if (origRule.actions) newRule.actions = Object.values(origRule.actions).map(convertAction);
+                    } catch (e) {
+                        unsupportedPolicyRules.add(policyPath, newRule.name, e.message);
+                        return undefined;
                     }
                     return newRule;
-                });
+                }).filter((x) => x);
             }
 
             newObj[loc.profile] = rootObj;
@@ -17,12 +17,17 @@
 'use strict';
 
 const assert = require('assert');
-const handleObjectRef = require('../../../util/convert/handleObjectRef');
+const bigipRefs = require('../../bigipRefs');
 const isIPv6 = require('../../../util/convert/isIPv6');
+const nodeConflicts = require('../../nodeConflicts');
+const splitRouteDomain = require('../../../util/convert/splitRouteDomain');
 const unquote = require('../../../util/convert/unquote');
 
 // custom diff func w/ concept of allowlist
 const customDiff = (obj1, obj2, allowlist) => {
+    // members in different route domains are never merged
+    if (obj1.routeDomain !== obj2.routeDomain) return false;
+
     const obj1Props = Object.keys(obj1);
     for (let i = 0; i < obj1Props.length; i += 1) {
         const prop = obj1Props[i];
@@ -78,6 +83,97 @@ const dedupe = (arr, propsToMerge) => {
     return newArr;
 };
 
+// 'monitor' or 'monitor min N of' rule of pool, member or node
+// output: { monitors, minimumMonitors, rule }, undefined if there is no rule
+const parseMonitors = (obj, file) => {
+    const minKey = Object.keys(obj).filter((x) => x.includes('monitor min'))[0];
+    if (obj.monitor) {
+        return { monitors: obj.monitor.split(' and ').map((m) => bigipRefs.ref(m, file)), rule: obj.monitor };
+    }
+    if (minKey) {
+        return {
+            minimumMonitors: parseInt(minKey.split(' ')[2], 10),
+            monitors: obj[minKey].map((m) => bigipRefs.ref(m, file)),
+            rule: `${minKey.replace('monitor ', '')} { ${obj[minKey].join(' ')} }`
+        };
+    }
+    return undefined;
+};
+
+// 'state user-down' forces member offline, 'session user-disabled' only drains it
+const ADMIN_STATES = ['enable', 'disable', 'offline'];
+const getAdminState = (obj) => {
+    if (obj.state === 'user-down') return 'offline';
+    if (obj.session === 'user-disabled') return 'disable';
+    return 'enable';
+};
+
+// 0 and 'disabled' mean no limit
+const parseLimit = (val) => parseInt(val, 10) || 0;
+
+// fold 'ltm node' settings into pool member, BIG-IP applies node and member settings together:
+// the stricter limit and state win, ratio, remark and autoPopulate of member take precedence,
+// node monitors are added to member monitors (member inherits pool monitors if it has none)
+const foldNode = (memberJson, poolMember, node, memberPath, poolMonitors, file) => {
+    const report = (prop, nodeVal, memberVal, used) => nodeConflicts.add(memberPath, prop, {
+        node: nodeVal, member: memberVal, used
+    });
+
+    Object.entries({ connectionLimit: 'connection-limit', rateLimit: 'rate-limit' }).forEach(([prop, key]) => {
+        const nodeVal = parseLimit(node[key]);
+        const memberVal = memberJson[prop] || 0;
+        if (!nodeVal || nodeVal === memberVal) return;
+        if (!memberVal) {
+            memberJson[prop] = nodeVal;
+        } else {
+            memberJson[prop] = Math.min(nodeVal, memberVal);
+            report(prop, nodeVal, memberVal, memberJson[prop]);
+        }
+    });
+
+    const preferMember = (prop, nodeVal) => {
+        if (memberJson[prop] === undefined) {
+            memberJson[prop] = nodeVal;
+        } else if (memberJson[prop] !== nodeVal) {
+            report(prop, nodeVal, memberJson[prop], memberJson[prop]);
+        }
+    };
+    if (node.ratio) preferMember('ratio', parseInt(node.ratio, 10));
+    if (node.description) preferMember('remark', unquote(node.description));
+
+    const nodeState = getAdminState(node);
+    const memberState = memberJson.adminState || 'enable';
+    if (nodeState !== memberState) {
+        const used = ADMIN_STATES[Math.max(ADMIN_STATES.indexOf(nodeState), ADMIN_STATES.indexOf(memberState))];
+        if (nodeState !== 'enable' && memberState !== 'enable') report('adminState', nodeState, memberState, used);
+        memberJson.adminState = used;
+    }
+
+    // FQDN node: query options exist on node only
+    if (memberJson.addressDiscovery === 'fqdn' && node.fqdn) {
+        if (node.fqdn.autopopulate) preferMember('autoPopulate', node.fqdn.autopopulate === 'enabled');
+        if (node.fqdn['address-family']) memberJson.addressFamily = node.fqdn['address-family'] === 'ipv6' ? 'IPv6' : 'IPv4';
+        if (node.fqdn.interval) memberJson.queryInterval = parseInt(node.fqdn.interval, 10) || 0;
+        if (node.fqdn['down-interval']) memberJson.downInterval = parseInt(node.fqdn['down-interval'], 10);
+    }
+
+    // node and member monitors must all pass, 'min N of' rule of either side cannot be combined
+    const nodeMon = parseMonitors(node, file);
+    if (!nodeMon || ['default', '/Common/none'].includes(nodeMon.rule)) return;
+    const memberMon = parseMonitors(poolMember, file) || poolMonitors;
+    if (!memberMon) {
+        memberJson.monitors = nodeMon.monitors;
+        memberJson.minimumMonitors = nodeMon.minimumMonitors || nodeMon.monitors.length;
+    } else if (nodeMon.minimumMonitors || memberMon.minimumMonitors) {
+        report('monitors', nodeMon.rule, memberMon.rule, memberMon.rule);
+    } else {
+        const monitors = memberMon.monitors.concat(nodeMon.monitors
+            .filter((m) => !memberMon.monitors.some((x) => JSON.stringify(x) === JSON.stringify(m))));
+        memberJson.monitors = monitors;
+        memberJson.minimumMonitors = monitors.length;
+    }
+};
+
 module.exports = {
 
     // Pool
@@ -94,12 +190,10 @@ module.exports = {
 
             // find if 'minimumMonitors' or 'monitor' attached to pool
             const origObj = file[loc.original];
-            const minMonitor = Object.keys(origObj).filter((x) => x.includes('monitor min'))[0];
-            if (origObj.monitor) {
-                rootObj.monitors = origObj.monitor.split(' and ').map((m) => handleObjectRef(m));
-            } else if (minMonitor) {
-                rootObj.minimumMonitors = parseInt(minMonitor.split(' ')[2], 10);
-                rootObj.monitors = origObj[minMonitor].map((m) => handleObjectRef(m));
+            const poolMonitors = parseMonitors(origObj, file);
+            if (poolMonitors) {
+                if (poolMonitors.minimumMonitors) rootObj.minimumMonitors = poolMonitors.minimumMonitors;
+                rootObj.monitors = poolMonitors.monitors;
             }
 
             if (rootObj.members) {
@@ -130,18 +224,32 @@ module.exports = {
 
                     // handle members with directly-attached monitors
                     // parse  'monitor min 1 of': [ '/Common/http' ]
-                    const membMinMon = Object.keys(poolMember).filter((x) => x.includes('monitor min'))[0];
-                    if (poolMember.monitor) {
-                        memberJson.monitors = poolMember.monitor.split(' and ').map((m) => handleObjectRef(m));
-                    } else if (membMinMon) {
-                        memberJson.minimumMonitors = parseInt(membMinMon.split(' ')[2], 10);
-                        memberJson.monitors = poolMember[membMinMon].map((m) => handleObjectRef(m));
+                    const memberMonitors = parseMonitors(poolMember, file);
+                    if (memberMonitors) {
+                        if (memberMonitors.minimumMonitors) memberJson.minimumMonitors = memberMonitors.minimumMonitors;
+                        memberJson.monitors = memberMonitors.monitors;
+                    }
+
+                    if (poolMember.description) memberJson.remark = unquote(poolMember.description);
+                    if (getAdminState(poolMember) !== 'enable') memberJson.adminState = getAdminState(poolMember);
+                    if (poolMember.fqdn && poolMember.fqdn.autopopulate) {
+                        memberJson.autoPopulate = poolMember.fqdn.autopopulate === 'enabled';
                     }
 
+                    // route domain goes to member property: '10.0.0.1%2' -> '10.0.0.1', routeDomain 2
                     if (poolMember.address) {
-                        memberJson.serverAddresses = [poolMember.address];
+                        const { address, routeDomain } = splitRouteDomain(poolMember.address);
+                        memberJson.serverAddresses = [address];
+                        if (routeDomain !== undefined) memberJson.routeDomain = routeDomain;
                         memberJson.shareNodes = true;
                     }
+
+                    // node settings, node name is member name without port: '/Common/10.0.0.1%2:80'
+                    const nodeKey = `ltm node ${poolMemberName.slice(0, poolMemberName.lastIndexOf(portSpltr))}`;
+                    if (file[nodeKey]) {
+                        const memberPath = `${loc.original.replace('ltm pool ', '')} ${poolMemberName}`;
+                        foldNode(memberJson, poolMember, file[nodeKey], memberPath, poolMonitors, file);
+                    }
                     members.push(memberJson);
                 }
                 rootObj.members = dedupe(members, ['serverAddresses']);
@@ -150,5 +258,10 @@ module.exports = {
             newObj[loc.profile] = rootObj;
             return newObj;
         }
+    },
+
+    // By-product of Pool, settings are folded into Pool_Member
+    'ltm node': {
+        noDirectMap: true
     }
 };
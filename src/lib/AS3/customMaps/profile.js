@@ -19,12 +19,13 @@
 const buildProtectedObj = require('../../../util/convert/buildProtectedObj');
 const convertToNameValueObj = require('../../../util/convert/convertToNameValueObj');
 const enabledToEnable = require('../../../util/convert/enabledToEnable');
+const getRouteDomainId = require('../../../util/convert/getRouteDomainId');
 const handleObjectRef = require('../../../util/convert/handleObjectRef');
 const loadCertsAndKeys = require('../../../util/convert/loadCertsAndKeys');
 const returnEmptyObjIfNone = require('../../../util/convert/returnEmptyObjIfNone');
 const unquote = require('../../../util/convert/unquote');
 
-const defaults = require('../../bigipDefaults.json');
+const versionRules = require('../../versionRules');
 
 const removeChars = (str) => {
     for (let i = 0; i < str.length; i += 1) {
@@ -407,7 +408,7 @@ module.exports = {
             whiteOutHeader: (key, val) => returnEmptyObjIfNone(val, { whiteOutHeader: val })
         },
 
-        customHandling: (rootObj, loc) => {
+        customHandling: (rootObj, loc, file) => {
             const newObj = {};
 
             // HTTP_Profile Explicit
@@ -416,7 +417,12 @@ module.exports = {
             if (rootObj.badResponseMessage) rootObj.badResponseMessage = unquote(rootObj.badResponseMessage);
             if (rootObj.connectErrorMessage) rootObj.connectErrorMessage = unquote(rootObj.connectErrorMessage);
             if (rootObj.dnsErrorMessage) rootObj.dnsErrorMessage = unquote(rootObj.dnsErrorMessage);
-            if (rootObj.routeDomain) rootObj.routeDomain = parseInt(rootObj.routeDomain.split('/Common/')[1], 10);
+
+            // route domain id, AS3 looks up route domain by name if id is unknown
+            if (rootObj.routeDomain) {
+                const routeDomain = getRouteDomainId(rootObj.routeDomain, file);
+                if (routeDomain !== undefined) rootObj.routeDomain = routeDomain;
+            }
 
             // handle possible parser error (knownMethods should be array)
             if (rootObj.knownMethods && !Array.isArray(rootObj.knownMethods)) {
@@ -576,7 +582,7 @@ module.exports = {
 
         keyValueRemaps: {
             certificate: (key, val) => {
-                if (defaults.includes(val)) return {};
+                if (versionRules.isDefault(val)) return {};
                 return { certificate: val.replace('.crt', '') };
             },
 
@@ -821,7 +827,7 @@ module.exports = {
                         privateKey: { bigip: '/Common/default.key' }
                     };
                 } else {
-                    if (!defaults.includes(certConf.cert)) {
+                    if (!versionRules.isDefault(certConf.cert)) {
                         if (certRef.split('/').length === 3) {
                             const certName = certRef.split('/')[2].replace('.crt', '');
 
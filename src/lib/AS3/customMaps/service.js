@@ -17,16 +17,23 @@
 'use strict';
 
 const path = require('path');
+const apmPolicies = require('../../apmPolicies');
+const bigipRefs = require('../../bigipRefs');
 const enabledToEnable = require('../../../util/convert/enabledToEnable');
 const getCidrFromNetmask = require('../../../util/convert/getCidrFromNetmask');
 const getObjectType = require('../../../util/convert/getObjectType');
+const getRouteDomainId = require('../../../util/convert/getRouteDomainId');
 const handleObjectRef = require('../../../util/convert/handleObjectRef');
 const isIPv4 = require('../../../util/convert/isIPv4');
 const isIPv6 = require('../../../util/convert/isIPv6');
 const log = require('../../../util/log');
 const portDict = require('../../portDict.json');
 const returnEmptyObjIfNone = require('../../../util/convert/returnEmptyObjIfNone');
+const splitRouteDomain = require('../../../util/convert/splitRouteDomain');
 const unquote = require('../../../util/convert/unquote');
+const unsupportedRouteDomains = require('../../unsupportedRouteDomains');
+const versionRules = require('../../versionRules');
+const wafPolicies = require('../../wafPolicies');
 
 const handleSharedPath = (propertyPath) => {
     const splitPath = propertyPath.split('/');
@@ -40,6 +47,67 @@ const handleSharedPath = (propertyPath) => {
     return propertyPath;
 };
 
+// AS3 accepts route domain as address suffix: '10.1.1.10%2'
+const formatRouteDomain = (address, routeDomain) => (routeDomain === undefined ? address : `${address}%${routeDomain}`);
+
+// profiles attached by BIG-IP together with ASM policy, represented by policyWAF
+const isWafProfile = (prof) => prof === '/Common/websecurity' || path.basename(prof).startsWith('ASM_');
+
+// profiles attached by BIG-IP together with access profile, AS3 attaches them for policyIAM
+const isAccessProfile = (prof) => ['/Common/rba', '/Common/websso'].includes(prof);
+
+const toList = (val) => (Array.isArray(val) ? val : Object.keys(val || {}));
+
+// APM profiles are not 'ltm profile' objects
+const getProfileType = (prof, file) => {
+    if (file[`apm profile access ${prof}`]) return 'apm';
+    if (file[`apm profile vdi ${prof}`] || prof === '/Common/vdi') return 'vdi';
+    return getObjectType(prof, file);
+};
+
+// profiles AS3 can only point to, kept in --keep-bigip-refs mode
+const bigipOnlyProfiles = {
+    ilx: { prop: 'profileILX', type: 'ltm profile ilx' },
+    pptp: { prop: 'profilePPTP', type: 'ltm profile pptp' },
+    rtsp: { prop: 'profileRTSP', type: 'ltm profile rtsp' },
+    tftp: { prop: 'profileTFTP', type: 'ltm profile tftp' },
+    vdi: { prop: 'profileVdi', type: 'apm profile vdi' }
+};
+
+// full path of object name listed by another object, relative names are in partition of listing object
+const fullPath = (name, ownerPath) => (name.startsWith('/') ? name : `/${ownerPath.split('/')[1]}/${name}`);
+
+// ASM policy by full path of virtual it is bound to by 'asm policy' virtual-servers, built once per config
+const wafIndexes = new WeakMap();
+const boundWafPolicy = (vsPath, file) => {
+    if (!wafIndexes.has(file)) {
+        const index = {};
+        Object.keys(file).filter((key) => key.startsWith('asm policy ')).forEach((key) => {
+            const asmPath = key.replace('asm policy ', '');
+            toList(file[key]['virtual-servers']).forEach((vs) => { index[fullPath(vs, asmPath)] = asmPath; });
+        });
+        wafIndexes.set(file, index);
+    }
+    return wafIndexes.get(file)[vsPath];
+};
+
+// ASM policy of virtual: bound by 'asm policy' virtual-servers or enabled by action of attached ltm policy
+// output: '<asm policy path>', undefined if there is none
+const findWafPolicy = (vsPath, policies, file) => {
+    const bound = boundWafPolicy(vsPath, file);
+    if (bound) return bound;
+
+    const wafPaths = toList(policies)
+        .map((x) => fullPath(x, vsPath))
+        .map((l7Policy) => Object.values((file[`ltm policy ${l7Policy}`] || {}).rules || {})
+            .map((rule) => Object.values(rule.actions || {}))
+            .flat()
+            .filter((action) => action.asm !== undefined && action.policy)
+            .map((action) => fullPath(action.policy, l7Policy)))
+        .flat();
+    return wafPaths[0];
+};
+
 const isTypeInProfiles = (profiles, type, file) => {
     for (let i = 0; i < profiles.length; i += 1) {
         const profile = profiles[i];
@@ -59,6 +127,9 @@ const getServiceType = (obj, file) => {
         } else {
             service = { class: 'Service_HTTP', template: 'http' };
         }
+    } else if (isTypeInProfiles(profs, 'sctp', file)) {
+        // Service_SCTP
+        service = { class: 'Service_SCTP', template: 'sctp' };
     } else if (isTypeInProfiles(profs, 'udp', file)) {
         // Service_UDP
         service = { class: 'Service_UDP', template: 'udp' };
@@ -89,7 +160,7 @@ const getServiceType = (obj, file) => {
         'tcp-analytics': 'profileAnalyticsTcp',
         'web-acceleration': 'profileHTTPAcceleration',
         analytics: 'profileAnalytics',
-        apm: 'policyEndpoint',
+        apm: 'policyIAM',
         asm: 'policyWAF',
         classification: 'profileClassification',
         dns: 'profileDNS',
@@ -106,6 +177,7 @@ const getServiceType = (obj, file) => {
         ntlm: 'profileNTLM',
         radius: 'profileRADIUS',
         rewrite: 'profileRewrite',
+        sctp: 'profileSCTP',
         sip: 'profileSIP',
         spm: 'profileEnforcement',
         stream: 'profileStream',
@@ -114,9 +186,14 @@ const getServiceType = (obj, file) => {
     };
 
     profs.forEach((prof) => {
-        const profType = getObjectType(prof, file);
+        const profType = getProfileType(prof, file);
         const profDict = serviceProfileProperties[profType];
-        if (profDict) {
+        const bigipOnly = bigipOnlyProfiles[profType];
+        if (isWafProfile(prof)) {
+            log.debug(`ASM profile ${prof} is represented by policyWAF`);
+        } else if (isAccessProfile(prof)) {
+            log.debug(`APM profile ${prof} is attached by BIG-IP together with access profile of policyIAM`);
+        } else if (profDict) {
             if (profDict === 'clientTLS' || profDict === 'serverTLS') {
                 if (!service[profDict]) service[profDict] = [];
                 if (!getObjectType(prof, '')) {
@@ -133,11 +210,19 @@ const getServiceType = (obj, file) => {
                 } else {
                     service[profDict] = handleObjectRef(prof);
                 }
+            } else if (profDict === 'policyIAM') {
+                service[profDict] = apmPolicies.pointer(prof);
+            } else if (profDict === 'profileSCTP') {
+                // AS3 has no SCTP profile class, custom profile must exist on target BIG-IP outside of tenant
+                service[profDict] = versionRules.isDefault(prof) ? { bigip: prof }
+                    : bigipRefs.existing(prof, `SCTP profile ${prof} is referenced as existing BIG-IP profile`);
             } else {
-                service[profDict] = handleObjectRef(prof);
+                service[profDict] = bigipRefs.ref(prof, file);
             }
         } else {
-            log.warn(`Invalid reference dropped: ${prof}`);
+            const bigipRef = bigipOnly && bigipRefs.keepRef(prof, bigipOnly.type);
+            if (bigipRef) service[bigipOnly.prop] = bigipRef;
+            else log.warn(`Invalid reference dropped: ${prof}`);
         }
     });
 
@@ -206,11 +291,13 @@ module.exports = {
             const newObj = {};
             const orig = file[loc.original];
 
-            // fix for un-prefixed profiles on /Common 16.1
-            rootObj.profiles = Object.assign(...Object.keys(rootObj.profiles).map((prof) => {
-                const newKey = !prof.includes('/') ? `/Common/${prof}` : prof;
-                return { [newKey]: rootObj.profiles[prof] };
-            }));
+            // un-prefixed profiles on /Common (16.1+)
+            if (versionRules.flag('unprefixedCommon')) {
+                rootObj.profiles = Object.assign(...Object.keys(rootObj.profiles).map((prof) => {
+                    const newKey = !prof.includes('/') ? `/Common/${prof}` : prof;
+                    return { [newKey]: rootObj.profiles[prof] };
+                }));
+            }
 
             // set Service class and template (plus any refs in properties)
             const serviceType = getServiceType(rootObj.profiles, file);
@@ -260,31 +347,37 @@ module.exports = {
             }
 
             // parse virtualAddresses and virtualPort
+            // '/Tenant/10.1.1.10%2:443', '/Tenant/2001:db8::10%2.443', '/Tenant/0.0.0.0%2:any'
             if (rootObj.destination) {
-                let split = rootObj.destination.split(':');
-                const ipv6 = split.length > 2;
-                if (ipv6) split = rootObj.destination.split('.');
-                const addrSplit = split[0].split('/');
-                let addr = addrSplit.at(-1);
-                if (addr && !isIPv4(addr) && !isIPv6(addr)) {
-                    addr = handleObjectRef(split[0]);
+                const ipv6 = rootObj.destination.split(':').length > 2;
+                const portIndex = rootObj.destination.lastIndexOf(ipv6 ? '.' : ':');
+                const addrPath = rootObj.destination.slice(0, portIndex);
+                const port = rootObj.destination.slice(portIndex + 1);
+                let addr = addrPath.split('/').at(-1);
+                const { address, routeDomain } = splitRouteDomain(addr);
+                if (isIPv4(address) || isIPv6(address)) {
+                    addr = formatRouteDomain(address, routeDomain);
+                } else if (addr) {
+                    addr = handleObjectRef(addrPath);
                 }
 
                 rootObj.virtualAddresses = [addr];
-                rootObj.virtualPort = portDict[split[1]] || parseInt(split[1], 10);
+                rootObj.virtualPort = port === 'any' ? 0 : (portDict[port] || parseInt(port, 10));
                 delete rootObj.destination;
             }
 
-            // calculate netmask for 'destination'
-            if (rootObj.mask && rootObj.mask !== '255.255.255.255' && rootObj.virtualType !== 'internal') {
+            // calculate netmask for 'destination', host masks are omitted
+            if (rootObj.mask && rootObj.virtualType !== 'internal') {
                 const cidr = getCidrFromNetmask(rootObj.mask);
-                rootObj.virtualAddresses = rootObj.virtualAddresses.map((x) => ((typeof x === 'string') ? `${x}${cidr}` : x));
+                if (cidr !== '/32' && cidr !== '/128') {
+                    rootObj.virtualAddresses = rootObj.virtualAddresses.map((x) => ((typeof x === 'string') ? `${x}${cidr}` : x));
+                }
             }
             delete rootObj.mask;
 
-            // 'traffic-matching-criteria' -> virtualAddresses/virtualPort (v14.1)
+            // 'traffic-matching-criteria' -> virtualAddresses/virtualPort (14.1+)
             const tmc = orig['traffic-matching-criteria'];
-            if (tmc) {
+            if (tmc && versionRules.flag('trafficMatchingCriteria')) {
                 const ref = `ltm traffic-matching-criteria ${tmc}`;
 
                 const addrList = file[ref]['destination-address-list'];
@@ -295,6 +388,19 @@ module.exports = {
                     rootObj.virtualAddresses = Array.isArray(address) ? address : [address];
                 }
 
+                // criteria route domain applies to every address without own suffix
+                const rd = file[ref]['route-domain'];
+                if (rd && rd !== 'any') {
+                    const routeDomain = getRouteDomainId(rd, file);
+                    if (routeDomain === undefined) {
+                        unsupportedRouteDomains.add(loc.original, `unknown route domain ${rd} of ${ref}`);
+                    } else {
+                        rootObj.virtualAddresses = rootObj.virtualAddresses.map((x) => (x.includes('%')
+                            ? x
+                            : x.replace(/^([^/]+)/, `$1%${routeDomain}`)));
+                    }
+                }
+
                 const portList = file[ref]['destination-port-list'];
                 if (portList) {
                     rootObj.virtualPort = Object.keys(file[`net port-list ${portList}`].ports).map((x) => parseInt(x, 10));
@@ -303,9 +409,10 @@ module.exports = {
                 }
             }
 
-            // handle 'source'
+            // handle 'source', wildcard destination in route domain can match its source ('0.0.0.0%2/0')
             if (rootObj.source && rootObj.source !== '0.0.0.0/0') {
-                rootObj.virtualAddresses = rootObj.virtualAddresses.map((x) => [x, rootObj.source]);
+                rootObj.virtualAddresses = rootObj.virtualAddresses
+                    .map((x) => (x === rootObj.source ? x : [x, rootObj.source]));
             }
             delete rootObj.source;
 
@@ -326,8 +433,8 @@ module.exports = {
                     const arr = [];
                     Object.keys(rootObj.persistenceMethods).forEach((x) => {
                         x = !x.includes('/') ? `/Common/${x}` : x;
-                        x = handleObjectRef(x);
-                        if (x.bigip) {
+                        x = bigipRefs.ref(x, file);
+                        if (versionRules.isDefault(x.bigip)) {
                             x = x.bigip.replace('source_addr', 'source-address')
                                 .replace('dest_addr', 'destination-address')
                                 .split('/')[2];
@@ -372,6 +479,27 @@ module.exports = {
                 rootObj.policyNAT = handleObjectRef(natPolicy.policy);
             }
 
+            // policyWAF, auto-generated ASM L7 policy is created by AS3 for it
+            const waf = findWafPolicy(loc.original.replace('ltm virtual ', ''), rootObj.policies, file);
+            if (waf && ['Service_HTTP', 'Service_HTTPS'].includes(rootObj.class)) {
+                rootObj.policyWAF = wafPolicies.pointer(waf);
+                toList(rootObj.policies)
+                    .filter((x) => path.basename(x).startsWith('asm_auto_l7_policy__'))
+                    .forEach((x) => delete rootObj.policies[x]);
+                if (rootObj.policies && Object.keys(rootObj.policies).length === 0) delete rootObj.policies;
+            }
+
+            // policyIAM and policyPerRequestAccess are available for HTTP services only
+            if (rootObj.policyPerRequestAccess) {
+                rootObj.policyPerRequestAccess = apmPolicies.pointer(rootObj.policyPerRequestAccess);
+            }
+            if (!['Service_HTTP', 'Service_HTTPS'].includes(rootObj.class)) {
+                ['policyIAM', 'policyPerRequestAccess'].filter((x) => rootObj[x]).forEach((x) => {
+                    log.warn(`APM policy of ${rootObj.class} cannot be expressed in AS3, dropped: ${loc.original}`);
+                    delete rootObj[x];
+                });
+            }
+
             // policyEndpoint
             if (rootObj.policies) {
                 rootObj.policyEndpoint = handleSharedPath(Object.keys(rootObj.policies)[0]);
@@ -395,7 +523,18 @@ module.exports = {
             // securityLogProfiles
             if (rootObj.securityLogProfiles) {
                 rootObj.securityLogProfiles = Object.keys(rootObj.securityLogProfiles)
-                    .map((x) => handleObjectRef(x));
+                    .map((x) => bigipRefs.ref(x, file));
+            }
+
+            // AS3 has no IP Intelligence policy class, policy is kept as existing BIG-IP object with --keep-bigip-refs
+            if (rootObj.ipIntelligencePolicy) {
+                const ipiRef = bigipRefs.keepRef(rootObj.ipIntelligencePolicy, 'security ip-intelligence policy');
+                if (ipiRef) {
+                    rootObj.ipIntelligencePolicy = ipiRef;
+                } else {
+                    log.warn(`Invalid reference dropped: ${rootObj.ipIntelligencePolicy}`);
+                    delete rootObj.ipIntelligencePolicy;
+                }
             }
 
             // Cleanup indirect service refs
@@ -18,6 +18,7 @@
 
 const enabledToEnable = require('../../../util/convert/enabledToEnable');
 const getCidrFromNetmask = require('../../../util/convert/getCidrFromNetmask');
+const splitRouteDomain = require('../../../util/convert/splitRouteDomain');
 
 module.exports = {
 
@@ -34,10 +35,16 @@ module.exports = {
         customHandling: (rootObj, loc) => {
             const newObj = {};
 
-            // netmask
-            if (rootObj.netmask && rootObj.netmask !== '255.255.255.255') {
+            // wildcard names 'any%2'/'any6%2' -> '0.0.0.0%2'/'::%2', route domain stays as address suffix
+            if (rootObj.virtualAddress) {
+                const { address, routeDomain } = splitRouteDomain(rootObj.virtualAddress);
+                rootObj.virtualAddress = routeDomain === undefined ? address : `${address}%${routeDomain}`;
+            }
+
+            // netmask, host masks are omitted
+            if (rootObj.netmask) {
                 const cidr = getCidrFromNetmask(rootObj.netmask);
-                rootObj.virtualAddress = `${rootObj.virtualAddress}${cidr}`;
+                if (cidr !== '/32' && cidr !== '/128') rootObj.virtualAddress = `${rootObj.virtualAddress}${cidr}`;
             }
             delete rootObj.netmask;
 
@@ -0,0 +1,54 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const unquote = require('../../../util/convert/unquote');
+const wafPolicies = require('../../wafPolicies');
+
+module.exports = {
+
+    // WAF_Policy
+    'asm policy': {
+        class: 'WAF_Policy',
+
+        keyValueRemaps: {
+            enforcementMode: (key, val) => ({ enforcementMode: val === 'enabled' ? 'blocking' : 'transparent' }),
+
+            remark: (key, val) => ({ remark: unquote(val) })
+        },
+
+        customHandling: (rootObj, loc) => {
+            const newObj = {};
+            const policyFile = wafPolicies.find(loc.original);
+
+            // policy content is not in UCS, it is exported separately (XML or JSON)
+            if (!policyFile) {
+                wafPolicies.add(loc.original, {
+                    status: 'bigip',
+                    reason: 'exported policy file is not found in --waf-policy-dir'
+                });
+                return newObj;
+            }
+
+            rootObj.policy = { base64: policyFile.content.toString('base64') };
+            wafPolicies.add(loc.original, { status: 'embedded', file: policyFile.file });
+
+            newObj[loc.profile] = rootObj;
+            return newObj;
+        }
+    }
+};
@@ -0,0 +1,43 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* eslint-disable global-require */
+
+/* iApp templates interpreted by ACC, matched by template name without partition and version
+ * method 'variables': AS3 Application is built from variables and tables of the service,
+ *                     objects generated by the iApp are dropped
+ * method 'objects': objects generated by the iApp are converted into AS3 Application named after the service
+ * method 'service': service itself is converted (customMaps/iapp.js)
+ */
+const templates = [
+    require('./iappMaps/f5_http'),
+    require('./iappMaps/f5_tcp'),
+    {
+        // multi-service templates, generated objects already are what AS3 needs
+        templates: ['f5.microsoft_exchange', 'f5.vmware_view'],
+        method: 'objects'
+    },
+    {
+        templates: ['f5.service_discovery'],
+        method: 'service'
+    }
+];
+
+// 'f5.microsoft_exchange_2016' matches 'f5.microsoft_exchange'
+module.exports = (name) => templates.find((entry) => entry.templates
+    .some((template) => name === template || name.startsWith(`${template}_`)));
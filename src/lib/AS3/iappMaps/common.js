@@ -0,0 +1,107 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const handleObjectRef = require('../../../util/convert/handleObjectRef');
+
+// special values of iApp variables selecting objects
+const CREATE_NEW = '/#create_new#';
+const DEFAULT = '/#default#';
+const DO_NOT_USE = '/#do_not_use#';
+
+// pointer to BIG-IP object selected in iApp variable, undefined for '/#create_new#', '/#do_not_use#', etc.
+const existing = (value) => (value && !value.startsWith('/#') ? handleObjectRef(value) : undefined);
+
+// BIG-IP runs monitor on timeout of 3 intervals + 1 second by default
+const buildMonitor = (iapp, monitorType) => {
+    const vars = iapp.variables;
+    const monitor = { class: 'Monitor', monitorType };
+    if (vars.monitor__frequency) {
+        monitor.interval = parseInt(vars.monitor__frequency, 10);
+        monitor.timeout = (monitor.interval * 3) + 1;
+    }
+
+    if (monitorType === 'http') {
+        const uri = vars.monitor__uri || '/';
+        const hosts = iapp.tables.pool__hosts || [];
+        monitor.send = hosts.length && hosts[0].name
+            ? `GET ${uri} HTTP/1.1\r\nHost: ${hosts[0].name}\r\nConnection: Close\r\n\r\n`
+            : `GET ${uri} HTTP/1.0\r\n\r\n`;
+        monitor.receive = vars.monitor__response && vars.monitor__response !== 'none' ? vars.monitor__response : '';
+    }
+    return monitor;
+};
+
+// row of pool__members table: { addr, port, connection_limit, ratio, priority }
+const buildMember = (row, port) => {
+    const member = {
+        servicePort: parseInt(row.port || port, 10),
+        serverAddresses: [row.addr],
+        shareNodes: true
+    };
+    if (parseInt(row.connection_limit, 10)) member.connectionLimit = parseInt(row.connection_limit, 10);
+    if (row.ratio && row.ratio !== '1') member.ratio = parseInt(row.ratio, 10);
+    if (parseInt(row.priority, 10)) member.priorityGroup = parseInt(row.priority, 10);
+    return member;
+};
+
+/* POOL OF SINGLE-SERVICE TEMPLATES (f5.http, f5.tcp)
+ * either existing pool selected in 'pool__pool_to_use'
+ * or '<name>_pool' with members from 'pool__members' table and '<name>_monitor'
+ * output: { pool: <Service pool property>, objects: { <name>_pool, <name>_monitor } }
+ */
+const buildPool = (iapp, name, monitorType, port) => {
+    const vars = iapp.variables;
+    const objects = {};
+    const poolToUse = vars.pool__pool_to_use || CREATE_NEW;
+    if (poolToUse !== CREATE_NEW) return { pool: existing(poolToUse), objects };
+
+    const rows = (iapp.tables.pool__members || iapp.tables.server_pools__servers || []).filter((row) => row.addr);
+    if (!rows.length) return { objects };
+
+    const pool = {
+        class: 'Pool',
+        members: rows.map((row) => buildMember(row, port))
+    };
+    if (vars.pool__lb_method) pool.loadBalancingMode = vars.pool__lb_method;
+
+    const monitor = vars.monitor__monitor || CREATE_NEW;
+    if (monitor === CREATE_NEW) {
+        objects[`${name}_monitor`] = buildMonitor(iapp, monitorType);
+        pool.monitors = [{ use: `${name}_monitor` }];
+    } else if (existing(monitor)) {
+        pool.monitors = [existing(monitor)];
+    }
+
+    objects[`${name}_pool`] = pool;
+    return { pool: `${name}_pool`, objects };
+};
+
+// source address translation, SNAT is not needed when servers route to clients through BIG-IP
+const getSnat = (vars) => {
+    if (vars.net__route_to_bigip === 'yes' || vars.basic__snat === 'no') return 'none';
+    return existing(vars.net__snat_pool) || 'auto';
+};
+
+module.exports = {
+    CREATE_NEW,
+    DEFAULT,
+    DO_NOT_USE,
+    buildPool,
+    existing,
+    getSnat
+};
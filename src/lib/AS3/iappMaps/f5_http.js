@@ -0,0 +1,106 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const {
+    CREATE_NEW, DEFAULT, buildPool, existing, getSnat
+} = require('./common');
+
+// client-side TLS profile, '/#create_new#' makes TLS_Server with certificate and key of the iApp
+const getServerTLS = (vars, name, objects) => {
+    const profile = vars.ssl__client_ssl_profile || CREATE_NEW;
+    if (profile !== CREATE_NEW) return existing(profile);
+
+    objects[`${name}_cert`] = {
+        class: 'Certificate',
+        certificate: { bigip: vars.ssl__cert || '/Common/default.crt' },
+        privateKey: { bigip: vars.ssl__key || '/Common/default.key' }
+    };
+    objects[`${name}_clientssl`] = {
+        class: 'TLS_Server',
+        certificates: [{ certificate: `${name}_cert` }]
+    };
+    return `${name}_clientssl`;
+};
+
+// server-side TLS profile, '/#default#' is BIG-IP serverssl
+const getClientTLS = (vars) => {
+    const profile = vars.ssl__server_ssl_profile || DEFAULT;
+    return profile === DEFAULT ? { bigip: '/Common/serverssl' } : existing(profile);
+};
+
+// persistence, '/#cookie#' and '/#source_addr#' are built-in methods
+const getPersistence = (vars) => {
+    const persist = vars.pool__persist;
+    if (persist === undefined || persist === '/#cookie#') return undefined;
+    if (persist === '/#source_addr#') return ['source-address'];
+    return existing(persist) ? [existing(persist)] : [];
+};
+
+/* f5.http (built-in and v1.2.0)
+ * ssl__mode: no_ssl -> Service_HTTP, client_ssl -> Service_HTTPS with serverTLS,
+ *            server_ssl -> Service_HTTP with clientTLS, client_ssl_server_ssl -> both,
+ *            pass_through -> Service_TCP
+ * objects are named as the iApp names them: <name>_vs, <name>_pool, <name>_monitor, ...
+ */
+module.exports = {
+    templates: ['f5.http'],
+    method: 'variables',
+
+    convert: (iapp, name) => {
+        const vars = iapp.variables;
+        const address = vars.pool__addr || vars.basic__addr;
+        if (!address) return undefined;
+
+        const sslMode = vars.ssl__mode || 'no_ssl';
+        const clientSsl = sslMode.startsWith('client_ssl');
+        const { pool, objects } = buildPool(iapp, name, 'http', 80);
+
+        const service = {
+            class: 'Service_HTTP',
+            virtualAddresses: [address],
+            virtualPort: parseInt(vars.pool__port || vars.basic__port || 80, 10),
+            snat: getSnat(vars)
+        };
+        if (pool) service.pool = pool;
+
+        if (sslMode === 'pass_through') {
+            service.class = 'Service_TCP';
+            service.virtualPort = parseInt(vars.pool__port_secure || vars.pool__port || 443, 10);
+            objects[`${name}_vs`] = service;
+            return objects;
+        }
+
+        if (clientSsl) {
+            service.class = 'Service_HTTPS';
+            service.virtualPort = parseInt(vars.pool__port_secure || 443, 10);
+            service.serverTLS = getServerTLS(vars, name, objects);
+            service.redirect80 = vars.pool__redirect_to_https === 'yes';
+        }
+        if (sslMode.endsWith('server_ssl')) service.clientTLS = getClientTLS(vars);
+
+        const persistence = getPersistence(vars);
+        if (persistence) service.persistenceMethods = persistence;
+
+        const compression = vars.client__http_compression;
+        if (compression === CREATE_NEW) service.profileHTTPCompression = { bigip: '/Common/httpcompression' };
+        else if (existing(compression)) service.profileHTTPCompression = existing(compression);
+
+        objects[`${name}_vs`] = service;
+        return objects;
+    }
+};
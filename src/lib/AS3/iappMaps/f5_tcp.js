@@ -0,0 +1,44 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { buildPool, getSnat } = require('./common');
+
+/* f5.tcp
+ * Service_TCP <name>_vs, pool and tcp monitor are named as the iApp names them
+ */
+module.exports = {
+    templates: ['f5.tcp'],
+    method: 'variables',
+
+    convert: (iapp, name) => {
+        const vars = iapp.variables;
+        if (!vars.pool__addr || !vars.pool__port) return undefined;
+
+        const { pool, objects } = buildPool(iapp, name, 'tcp', vars.pool__port);
+        const service = {
+            class: 'Service_TCP',
+            virtualAddresses: [vars.pool__addr],
+            virtualPort: parseInt(vars.pool__port, 10),
+            snat: getSnat(vars)
+        };
+        if (pool) service.pool = pool;
+
+        objects[`${name}_vs`] = service;
+        return objects;
+    }
+};
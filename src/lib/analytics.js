@@ -49,6 +49,10 @@ const getAssetId = (config) => {
         .catch(() => {});
 };
 
+// total length of input files, the input is never serialized as a whole
+const getInputSize = (data) => Object.values(data)
+    .reduce((size, value) => size + (typeof value === 'string' ? value.length : 0), 0);
+
 const getKeyCount = (tmpObj) => {
     const keyList = Array.isArray(tmpObj) ? tmpObj : Object.keys(tmpObj);
     const keyCount = {};
@@ -60,6 +64,13 @@ const getKeyCount = (tmpObj) => {
     return keyCount;
 };
 
+// never report secrets passed via CLI
+const hideSecrets = (args) => args.map((arg, i) => {
+    if (args[i - 1] === '--ucs-passphrase') return '******';
+    if (arg.startsWith('--ucs-passphrase=')) return '--ucs-passphrase=******';
+    return arg;
+});
+
 module.exports = (data, result, config) => {
     if (config.disableAnalytics) return Promise.resolve();
 
@@ -78,10 +89,10 @@ module.exports = (data, result, config) => {
     };
 
     const extraFields = {
-        arguments: process.argv.slice(2),
+        arguments: hideSecrets(process.argv.slice(2)),
         declarationSize: JSON.stringify(result.declaration).length,
         engine: config.declarativeOnboarding ? 'DO' : 'AS3',
-        inputSize: JSON.stringify(data).length,
+        inputSize: getInputSize(data),
         isContainer: process.env.DOCKER_CONTAINER === 'true',
         runtime,
         unsupportedStats: result.unsupportedStats
@@ -0,0 +1,114 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const path = require('path');
+const getKey = require('../util/getKey');
+const handleObjectRef = require('../util/convert/handleObjectRef');
+const log = require('../util/log');
+const versionRules = require('./versionRules');
+
+// --keep-bigip-refs: objects of types ACC doesn't convert are referenced as existing BIG-IP objects
+let keep = false;
+
+// tmsh key of object in config by object path, built once per config, objects not in config are not found
+const keyIndexes = new WeakMap();
+const findKey = (objPath, file) => {
+    if (!keyIndexes.has(file)) {
+        const index = {};
+        Object.keys(file).filter((key) => !key.startsWith('sys application service')).forEach((key) => {
+            const keyPath = key.split(' ').pop();
+            if (!index[keyPath]) index[keyPath] = key;
+        });
+        keyIndexes.set(file, index);
+    }
+    return keyIndexes.get(file)[objPath];
+};
+
+const isConverted = (key) => {
+    const entry = versionRules.customDict()[getKey(key)];
+    return Boolean(entry) && !entry.noDirectMap;
+};
+
+/* REFERENCE TO EXISTING BIG-IP OBJECT
+ * tenants and /Common/Shared are managed by AS3, so object of other partition or folder can't exist there,
+ * it is referenced as /Common/<name> instead and warning tells where to create it
+ * output: { bigip: '/Common/<name>' }
+ */
+const existing = (objPath, message) => {
+    const bigipPath = /^\/Common\/[^/]+$/.test(objPath) ? objPath : `/Common/${path.basename(objPath)}`;
+    log.warn(bigipPath === objPath ? message : `${message}, create it as ${bigipPath}`);
+    return { bigip: bigipPath };
+};
+
+// walk declaration and collect 'bigip' references of every object
+const walk = (obj, objPath, refs) => {
+    Object.keys(obj).forEach((key) => {
+        const value = obj[key];
+        if (key === 'bigip' && typeof value === 'string') {
+            if (!versionRules.isDefault(value)) {
+                if (!refs[value]) refs[value] = [];
+                if (!refs[value].includes(objPath)) refs[value].push(objPath);
+            }
+        } else if (value && typeof value === 'object') {
+            const isNamed = !Array.isArray(obj) && value.class && typeof value.class === 'string';
+            walk(value, isNamed ? `${objPath}/${key}` : objPath, refs);
+        }
+    });
+};
+
+module.exports = {
+    activate: (enabled) => {
+        keep = Boolean(enabled);
+    },
+
+    // reference to existing BIG-IP object outside of AS3 managed partitions
+    existing,
+
+    // object of config is converted by ACC (has AS3 class)
+    isConverted,
+
+    /* REFERENCE TO OBJECT OF CONFIG
+     * same as handleObjectRef, but object of type ACC doesn't convert (e.g. 'ltm profile rtsp', 'ltm monitor inband')
+     * is referenced by { bigip } in --keep-bigip-refs mode instead of pointer which is removed as invalid later
+     */
+    ref: (objPath, file) => {
+        const ref = handleObjectRef(objPath);
+        if (!keep || ref.bigip) return ref;
+
+        const key = findKey(objPath, file);
+        if (!key || isConverted(key)) return ref;
+        return existing(objPath, `${getKey(key)} ${objPath} is not converted, referenced as existing BIG-IP object`);
+    },
+
+    // existing BIG-IP object of type which has AS3 pointer, but no AS3 class (e.g. 'ltm profile tftp')
+    // output: { bigip } in --keep-bigip-refs mode, undefined otherwise
+    keepRef: (objPath, type) => {
+        if (!keep) return undefined;
+        return existing(objPath, `${type} ${objPath} is not converted, referenced as existing BIG-IP object`);
+    },
+
+    /* OBJECTS WHICH MUST EXIST ON TARGET BIG-IP
+     * every non built-in 'bigip' reference of declaration
+     * output: { '<bigip path>': ['/Tenant/Application/object', ...] }
+     */
+    collect: (declaration) => {
+        const refs = {};
+        walk(declaration, '', refs);
+        return refs;
+    }
+};
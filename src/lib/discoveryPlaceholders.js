@@ -0,0 +1,41 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const log = require('../util/log');
+
+// value of required Address_Discovery properties which are not set or encrypted in the iApp
+const PLACEHOLDER = 'ACC_PLACEHOLDER';
+
+// placeholders put into service discovery objects during conversion
+// { '/Tenant/Application/object': ['property'] }
+let placeholders = {};
+
+module.exports = {
+    PLACEHOLDER,
+
+    add: (objPath, props) => {
+        log.warn(`Service discovery settings missing: ${objPath} (${props.join(', ')}), replace ${PLACEHOLDER} before deploying`);
+        placeholders[objPath] = props;
+    },
+
+    get: () => placeholders,
+
+    reset: () => {
+        placeholders = {};
+    }
+};
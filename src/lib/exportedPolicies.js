@@ -0,0 +1,58 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const handleObjectRef = require('../util/convert/handleObjectRef');
+const log = require('../util/log');
+
+/* POLICIES EXPORTED FROM BIG-IP (ASM, APM)
+ * policy content is not part of UCS, exported files are supplied by user and matched by policy name
+ * kind: policy kind used in log messages, e.g. 'WAF'
+ */
+module.exports = (kind) => {
+    // exported policy files: { '<policy name>': { file, content } }
+    let files = {};
+
+    // status of every policy, collected during conversion
+    // { '<tmsh object path>': { status: 'embedded' | 'url' | 'bigip', ... } }
+    let report = {};
+
+    const find = (policyPath) => files[policyPath.split('/').at(-1)];
+
+    return {
+        load: (policies) => {
+            files = policies || {};
+        },
+
+        // exported policy file of policy path, matched by policy name
+        find,
+
+        // policy of declaration if policy file is found, existing BIG-IP policy otherwise
+        pointer: (policyPath) => (find(policyPath) ? handleObjectRef(policyPath) : { bigip: policyPath }),
+
+        add: (objPath, details) => {
+            if (details.reason) log.warn(`${kind} policy is referenced as existing BIG-IP policy: ${objPath} (${details.reason})`);
+            report[objPath] = details;
+        },
+
+        get: () => report,
+
+        reset: () => {
+            report = {};
+        }
+    };
+};
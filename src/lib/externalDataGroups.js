@@ -0,0 +1,38 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const log = require('../util/log');
+
+// how external data-groups were converted, collected during conversion
+// { '<tmsh object path>': { conversion: 'records' | 'dataGroupFile' | 'externalFilePath', ... } }
+let converted = {};
+
+module.exports = {
+    add: (objPath, details) => {
+        if (details.reason) {
+            log.warn(`External data-group is not embedded, converted to ${details.conversion}: ${objPath} (${details.reason})`);
+        }
+        converted[objPath] = details;
+    },
+
+    get: () => converted,
+
+    reset: () => {
+        converted = {};
+    }
+};
@@ -0,0 +1,48 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const log = require('../util/log');
+
+const MESSAGES = {
+    objectsOnly: 'its objects are converted as is',
+    notConverted: 'its objects are not converted'
+};
+
+/* iApp services (or '.app' folders without service) found during conversion
+ * { '<service path>': { template, status, application, objects } }
+ * status: 'converted' - template is interpreted, AS3 Application is in 'application'
+ *         'objectsOnly' - template is not interpreted, generated objects are converted one by one
+ *         'notConverted' - template is not interpreted, generated objects are not converted
+ */
+let iapps = {};
+
+module.exports = {
+    add: (iappPath, entry) => {
+        if (MESSAGES[entry.status]) {
+            const template = entry.template ? `template ${entry.template}` : 'no application service';
+            log.warn(`iApp ${iappPath} (${template}) is not interpreted, ${MESSAGES[entry.status]}`);
+        }
+        iapps[iappPath] = entry;
+    },
+
+    get: () => iapps,
+
+    reset: () => {
+        iapps = {};
+    }
+};
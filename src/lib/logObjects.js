@@ -77,7 +77,9 @@ module.exports = (result, config) => {
 
     if (config.debug) log.info(jsonDeclaration);
 
-    if (config.output) {
+    if (config.output === '-') {
+        process.stdout.write(`${jsonDeclaration}\n`);
+    } else if (config.output) {
         try {
             fs.writeFileSync(config.output, jsonDeclaration);
         } catch (e) {
@@ -0,0 +1,59 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const log = require('../util/log');
+
+// secrets that are stripped from QKView, per AS3 class
+const secretChecks = {
+    CA_Bundle: (obj) => (obj.bundle ? [] : ['bundle']),
+    Certificate: (obj) => ['certificate', 'privateKey'].filter((prop) => !obj[prop]),
+    DNS_TSIG_Key: (obj) => (obj.secret ? [] : ['secret']),
+    GSLB_Monitor: (obj) => ((obj.username && !obj.passphrase) ? ['passphrase'] : []),
+    Monitor: (obj) => ((obj.username && !obj.passphrase) ? ['passphrase'] : [])
+};
+
+// find objects with secrets missing in the declaration
+// returns { '/Tenant/Application/object': ['property'] }
+module.exports = (declaration) => {
+    const missing = {};
+
+    Object.keys(declaration).forEach((tenKey) => {
+        const tenant = declaration[tenKey];
+        if (typeof tenant !== 'object' || tenant.class !== 'Tenant') return;
+
+        Object.keys(tenant).forEach((appKey) => {
+            const application = tenant[appKey];
+            if (typeof application !== 'object' || application.class !== 'Application') return;
+
+            Object.keys(application).forEach((objKey) => {
+                const obj = application[objKey];
+                const check = obj && secretChecks[obj.class];
+                if (!check) return;
+
+                const props = check(obj);
+                if (props.length) {
+                    const objPath = `/${tenKey}/${appKey}/${objKey}`;
+                    log.warn(`Secret missing in QKView source: ${objPath} (${props.join(', ')})`);
+                    missing[objPath] = props;
+                }
+            });
+        });
+    });
+
+    return missing;
+};
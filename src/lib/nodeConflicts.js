@@ -0,0 +1,37 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const log = require('../util/log');
+
+// pool members whose settings disagree with settings of their ltm node, collected during conversion
+// { '<pool path> <member name>': { <Pool_Member property>: { node, member, used } } }
+let conflicts = {};
+
+module.exports = {
+    add: (memberPath, prop, values) => {
+        log.warn(`Node and pool member settings disagree: ${memberPath} ${prop} (node: ${values.node}, member: ${values.member}, using: ${values.used})`);
+        if (!conflicts[memberPath]) conflicts[memberPath] = {};
+        conflicts[memberPath][prop] = values;
+    },
+
+    get: () => conflicts,
+
+    reset: () => {
+        conflicts = {};
+    }
+};
@@ -0,0 +1,54 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// objects renamed during conversion (e.g. duplicate names, virtuals split by port), collected by as3Converter
+// keys: { '<original tmsh key>': '<tmsh key after rename>' }, originals is its reverse
+// pointers: { '<original tmsh key>': ['<AS3 pointer>', ...] }
+let keys = {};
+let originals = {};
+let pointers = {};
+
+// original tmsh key of object renamed in tmsh config, undefined if it is not renamed
+const renamedFrom = (key) => originals[key];
+
+module.exports = {
+    add: (key, newKey) => {
+        keys[key] = newKey;
+        originals[newKey] = key;
+    },
+
+    // AS3 pointer of object converted under other name, key is tmsh key after renames
+    addPointer: (key, pointer) => {
+        const original = renamedFrom(key) || key;
+        if (!pointers[original]) pointers[original] = [];
+        if (!pointers[original].includes(pointer)) pointers[original].push(pointer);
+    },
+
+    get: () => pointers,
+
+    renamedFrom,
+
+    // tmsh key of object after renames
+    resolve: (key) => keys[key] || key,
+
+    reset: () => {
+        keys = {};
+        originals = {};
+        pointers = {};
+    }
+};
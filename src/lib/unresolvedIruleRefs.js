@@ -0,0 +1,37 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const log = require('../util/log');
+
+// iRule references to objects which are not found in configuration, collected during conversion
+// { '<tmsh iRule path>': ['<command> <name>', ...] }
+let unresolved = {};
+
+module.exports = {
+    add: (rulePath, ref) => {
+        log.warn(`iRule reference cannot be resolved, kept as is: ${rulePath} (${ref})`);
+        if (!unresolved[rulePath]) unresolved[rulePath] = [];
+        if (!unresolved[rulePath].includes(ref)) unresolved[rulePath].push(ref);
+    },
+
+    get: () => unresolved,
+
+    reset: () => {
+        unresolved = {};
+    }
+};
@@ -0,0 +1,36 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const log = require('../util/log');
+
+// objects whose route domain cannot be expressed in AS3, collected during conversion
+// { '<tmsh object path>': '<reason>' }
+let unsupported = {};
+
+module.exports = {
+    add: (objPath, reason) => {
+        log.warn(`Route domain cannot be expressed in AS3, dropped: ${objPath} (${reason})`);
+        unsupported[objPath] = reason;
+    },
+
+    get: () => unsupported,
+
+    reset: () => {
+        unsupported = {};
+    }
+};
@@ -0,0 +1,175 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const defaults = require('./bigipDefaults.json');
+
+/* BIG-IP VERSION-AWARE CONVERSION RULES
+ *
+ * every rule applies to source versions in range [since, until),
+ * unknown source version (conf without TMSH-VERSION header) is treated as the latest one
+ *
+ * rule overlays:
+ *   flags      - switches checked by converter code with versionRules.flag(name)
+ *   properties - merged over as3PropertiesCustom.json: { '<tmsh key>': [{ id, altId, ... }] }
+ *   defaults   - applied to bigipDefaults.json: { add: [...], remove: [...] }
+ *   customMaps - merged over customDict entries: { '<tmsh key>': { extends: '<tmsh key>', class, ... } }
+ *
+ * shared json and custom maps are never changed, every conversion gets the rule set of its source version
+ */
+const rules = [
+    {
+        description: 'objects in /Common may be listed without /Common/ prefix',
+        since: '16.1',
+        flags: { unprefixedCommon: true }
+    },
+    {
+        description: 'virtual servers may use traffic-matching-criteria instead of destination',
+        since: '14.1',
+        flags: { trafficMatchingCriteria: true }
+    },
+    {
+        description: 'f5-tcp-progressive profile is built-in since 13.0',
+        until: '13.0',
+        defaults: { remove: ['/Common/f5-tcp-progressive'] }
+    },
+    {
+        description: 'QUIC profiles are built-in since 15.1',
+        until: '15.1',
+        defaults: { remove: ['/Common/f5-quic', '/Common/clientssl-quic'] }
+    },
+    {
+        description: 'wide IPs and GSLB pools have no record type before 12.0, all of them are A records',
+        until: '12.0',
+        properties: {
+            'gtm wideip': [
+                { id: 'aliases', extend: 'array' },
+                { id: 'enabled' },
+                { id: 'disabled' },
+                { id: 'pool-lb-mode' },
+                { id: 'pools', extend: 'objArray' },
+                { id: 'rules', extend: 'array', altId: 'iRules' },
+                { id: 'last-resort-pool', default: '' }
+            ]
+        },
+        customMaps: {
+            'gtm wideip': {
+                extends: 'gtm wideip a',
+                keyValueRemaps: {
+                    // last resort pool has no record type either
+                    lastResortPool: (key, val) => ({ lastResortPool: `a ${val}` })
+                }
+            },
+            'gtm pool': { extends: 'gtm pool a' }
+        }
+    }
+];
+
+// compare dotted versions numerically: '13.1.1.3' > '13.1'
+const compareVersions = (a, b) => {
+    const partsA = a.split('.').map((x) => parseInt(x, 10) || 0);
+    const partsB = b.split('.').map((x) => parseInt(x, 10) || 0);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i += 1) {
+        const diff = (partsA[i] || 0) - (partsB[i] || 0);
+        if (diff) return Math.sign(diff);
+    }
+    return 0;
+};
+
+const inRange = (rule, version) => {
+    if (!version) return !rule.until;
+    return (!rule.since || compareVersions(version, rule.since) >= 0)
+        && (!rule.until || compareVersions(version, rule.until) < 0);
+};
+
+// rule set of source version, same object is returned for same version so derived overlays are built once
+// output: { version, rules: [...] }
+const selected = {};
+const select = (version) => {
+    const key = version || '';
+    if (!selected[key]) selected[key] = { version: key, rules: rules.filter((rule) => inRange(rule, key)) };
+    return selected[key];
+};
+
+// overlays derived from rule set: { defaults: Set, customDict: {...} }
+const derived = new WeakMap();
+
+const build = (ruleSet) => {
+    const builtIn = new Set(defaults);
+    ruleSet.rules.filter((rule) => rule.defaults).forEach((rule) => {
+        (rule.defaults.remove || []).forEach((item) => builtIn.delete(item));
+        (rule.defaults.add || []).forEach((item) => builtIn.add(item));
+    });
+
+    // customDict requires custom maps which check flags, load it lazily to avoid circular dependency
+    // eslint-disable-next-line global-require
+    const baseDict = require('./AS3/customDict');
+    const customDict = Object.assign({}, baseDict);
+    ruleSet.rules.filter((rule) => rule.customMaps).forEach((rule) => {
+        Object.keys(rule.customMaps).forEach((key) => {
+            const overlay = Object.assign({}, rule.customMaps[key]);
+            const base = customDict[overlay.extends || key] || {};
+            delete overlay.extends;
+            customDict[key] = Object.assign({}, base, overlay);
+            if (base.keyValueRemaps && overlay.keyValueRemaps) {
+                customDict[key].keyValueRemaps = Object.assign({}, base.keyValueRemaps, overlay.keyValueRemaps);
+            }
+        });
+    });
+
+    return { defaults: builtIn, customDict };
+};
+
+const overlays = (ruleSet) => {
+    if (!derived.has(ruleSet)) derived.set(ruleSet, build(ruleSet));
+    return derived.get(ruleSet);
+};
+
+// rule set of running conversion, rules of the latest version outside of conversion
+let active = select('');
+
+module.exports = {
+    compareVersions,
+    rules,
+    select,
+
+    // run conversion (synchronous function) with rule set, previous rule set is restored afterwards,
+    // so concurrent conversions never see rules of each other
+    use: (ruleSet, fn) => {
+        const previous = active;
+        active = ruleSet || select('');
+        try {
+            return fn();
+        } finally {
+            active = previous;
+        }
+    },
+
+    active: () => active,
+
+    // check switch of active rules
+    flag: (name) => active.rules.some((rule) => rule.flags && rule.flags[name]),
+
+    // object is built-in on source BIG-IP version
+    isDefault: (objPath) => overlays(active).defaults.has(objPath),
+
+    // custom maps of rule set, customDict entries with custom maps overlays
+    customDict: (ruleSet = active) => overlays(ruleSet).customDict,
+
+    // as3Properties overlays of rule set
+    properties: (ruleSet = active) => ruleSet.rules.filter((rule) => rule.properties).map((rule) => rule.properties)
+};
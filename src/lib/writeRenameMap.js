@@ -0,0 +1,52 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const log = require('../util/log');
+
+// quote CSV field if it contains separator, quote or line break
+const csvField = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+// rename map rows sorted by type and source, one row per AS3 pointer (virtual split by port has several)
+const toRows = (renames) => Object.keys(renames).sort().reduce((rows, key) => {
+    const split = key.split(' ');
+    const source = split.pop();
+    const type = split.join(' ');
+    return rows.concat(renames[key].map((pointer) => ({ type, source, pointer })));
+}, []);
+
+/* WRITE OBJECT RENAME MAP TO FILE
+ * input: { '<tmsh key>': ['<AS3 pointer>', ...] }
+ * output: CSV if file has .csv extension, JSON otherwise, e.g.
+ *   type,source,pointer
+ *   ltm pool,/Common/10.1.1.1,/Common/Shared/pool_10.1.1.1
+ */
+module.exports = (renames, file) => {
+    const rows = toRows(renames);
+    const content = file.toLowerCase().endsWith('.csv')
+        ? ['type,source,pointer']
+            .concat(rows.map((row) => [row.type, row.source, row.pointer].map(csvField).join(',')))
+            .join('\n')
+        : JSON.stringify(rows, null, 4);
+
+    try {
+        fs.writeFileSync(file, `${content}\n`);
+    } catch (e) {
+        log.error(`Error writing rename map file: ${file}`);
+    }
+};
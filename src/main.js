@@ -17,7 +17,9 @@
 'use strict';
 
 const analytics = require('./lib/analytics');
+const apmPolicies = require('./lib/apmPolicies');
 const as3Converter = require('./engines/as3Converter');
+const bigipRefs = require('./lib/bigipRefs');
 const countObjects = require('./util/countObjects');
 const declarationStats = require('./lib/declarationStats');
 const doConverter = require('./engines/doConverter');
@@ -25,13 +27,19 @@ const filterConf = require('./preConverter/filterConf');
 const filterByApplication = require('./postConverter/filterByApplication');
 const log = require('./util/log');
 const logObjects = require('./lib/logObjects');
+const missingSecrets = require('./lib/missingSecrets');
+const getBigipVersion = require('./util/getBigipVersion');
 const getMergedAS3Properties = require('./util/getMergedAS3Properties');
 const parser = require('./engines/parser');
 const readFiles = require('./preConverter/readFiles');
+const readPolicyDir = require('./preConverter/readPolicyDir');
 const removeDefaultValuesAS3 = require('./postConverter/removeDefaultValuesAS3');
 const removeDefaultValuesDO = require('./postConverter/removeDefaultValuesDO');
 const removeInvalidRefs = require('./postConverter/removeInvalidRefs');
-const supported = require('./lib/AS3/customDict');
+const restParser = require('./engines/restParser');
+const versionRules = require('./lib/versionRules');
+const wafPolicies = require('./lib/wafPolicies');
+const writeRenameMap = require('./lib/writeRenameMap');
 
 /**
  * Filter objects by array
@@ -94,8 +102,39 @@ async function mainRunner(data, config) {
         config.next = true;
     }
 
-    log.debug(`Config ${JSON.stringify(config, null, 4)}`);
-    const json = parser(data);
+    // do not expose UCS passphrase in logs
+    const hidePassphrase = (key, value) => ((key === 'ucsPassphrase' && value) ? '******' : value);
+    log.debug(`Config ${JSON.stringify(config, hidePassphrase, 4)}`);
+
+    // apply conversion rules of source BIG-IP version, --source-version overrides TMSH-VERSION header
+    const sourceVersion = config.sourceVersion || getBigipVersion(data);
+    log.debug(`Source BIG-IP version: ${sourceVersion || 'unknown, latest rules applied'}`);
+    const ruleSet = versionRules.select(sourceVersion);
+
+    // objects ACC cannot convert are referenced as existing BIG-IP objects, instead of being dropped
+    bigipRefs.activate(config.keepBigipRefs);
+
+    // exported ASM policies are embedded into WAF_Policy, APM policies referenced by URL, matched by policy name
+    wafPolicies.load(config.wafPolicyDir ? await readPolicyDir(config.wafPolicyDir, ['.xml', '.json']) : {});
+    apmPolicies.load(config.apmPolicyDir ? await readPolicyDir(config.apmPolicyDir, ['.tar.gz', '.tgz']) : {});
+
+    // iControl REST JSON exports have own front end, tmsh configs are parsed as usual
+    const restFiles = {};
+    const confFiles = {};
+    Object.keys(data).forEach((key) => {
+        if (!parser.isConfigFile(key)) return;
+        if (restParser.isRestPayload(data[key])) restFiles[key] = data[key];
+        else confFiles[key] = data[key];
+    });
+    // origin (file and lines) of every parsed object
+    const provenance = {};
+
+    // malformed objects are skipped and reported, unless strict mode requested
+    const parseErrors = config.strict ? null : [];
+    const json = Object.assign(
+        parser(confFiles, provenance, parseErrors),
+        restParser(restFiles, provenance, parseErrors)
+    );
 
     // DO branch
     if (config.declarativeOnboarding) {
@@ -116,17 +155,18 @@ async function mainRunner(data, config) {
             declaration: doDecl,
             metadata: {
                 declarationInfo: declarationStats(doDecl, config),
-                jsonCount: countObjects(json)
+                jsonCount: countObjects(json),
+                parseErrors: parseErrors || []
             }
         };
     }
 
     // apply allowlist for AS3 and ACC support
-    const as3Recognized = filterConf(json, getMergedAS3Properties());
-    const as3Converted = filterConf(json, supported);
+    const as3Recognized = filterConf(json, getMergedAS3Properties(ruleSet));
+    const as3Converted = filterConf(json, versionRules.customDict(ruleSet));
 
-    // Convert json to AS3
-    const converted = as3Converter(json, config);
+    // Convert json to AS3, rule set and input files are passed with conversion, so concurrent requests don't share them
+    const converted = as3Converter(json, Object.assign({}, config, { versionRules: ruleSet, files: data }), provenance);
     let declaration = converted.declaration;
 
     // Additional metrics for next
@@ -151,33 +191,53 @@ async function mainRunner(data, config) {
 
         // Remove any ref that points to a non-existant object
         log.debug('Removing invalid references');
-        removeInvalidRefs(declaration);
+        removeInvalidRefs(declaration, converted.provenance);
     }
 
-    return {
-        declaration,
-        metadata: {
-            declarationInfo: declarationStats(declaration),
-            jsonCount: countObjects(json),
-            as3Recognized,
-            as3Converted,
-            keyNextConverted,
-            as3NextNotConverted,
-            as3NotConverted: converted.as3NotConverted,
-            unsupportedStats: converted.unsupportedStats
-        }
+    const metadata = {
+        apmPolicies: converted.apmPolicies,
+        declarationInfo: declarationStats(declaration),
+        jsonCount: countObjects(json),
+        as3Recognized,
+        as3Converted,
+        keyNextConverted,
+        as3NextNotConverted,
+        as3NotConverted: converted.as3NotConverted,
+        bigipRefs: versionRules.use(ruleSet, () => bigipRefs.collect(declaration)),
+        discoveryPlaceholders: converted.discoveryPlaceholders,
+        externalDataGroups: converted.externalDataGroups,
+        iapps: converted.iapps,
+        nodeConflicts: converted.nodeConflicts,
+        parseErrors: parseErrors || [],
+        provenance: converted.provenance,
+        renames: converted.renames,
+        unresolvedIruleRefs: converted.unresolvedIruleRefs,
+        unsupportedPolicyRules: converted.unsupportedPolicyRules,
+        unsupportedRouteDomains: converted.unsupportedRouteDomains,
+        unsupportedStats: converted.unsupportedStats,
+        wafPolicies: converted.wafPolicies
     };
+
+    // QKView strips secrets, report them as missing
+    if (config.qkview) {
+        metadata.source = 'qkview';
+        metadata.missingSecrets = missingSecrets(declaration);
+    }
+
+    return { declaration, metadata };
 }
 
 module.exports = {
     main: async (data, config) => {
         // Init logger
         log.configure(config.logFile);
+        if (config.output === '-') log.useStderr();
 
         // Read from file if data is not directly supplied
         if (!data) {
-            const input = [config.conf, config.ucs].filter((x) => x);
-            data = await readFiles(input);
+            // archive goes first so conf overlays take precedence
+            const input = [config.ucs, config.qkview].concat(config.conf || []).filter((x) => x);
+            data = await readFiles(input, config);
         }
 
         if (config.ucs && config.server && Object.keys(data).length === 0) {
@@ -190,6 +250,7 @@ module.exports = {
         analytics(data, result, config);
 
         logObjects(result, config);
+        if (config.renameMap) writeRenameMap(result.metadata.renames, config.renameMap);
         result.metadata.logs = log.memory();
 
         return result;
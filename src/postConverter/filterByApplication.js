@@ -19,6 +19,7 @@
 /* eslint-disable no-continue, no-use-before-define */
 const declarationBase = require('../util/convert/declarationBase');
 const log = require('../util/log');
+const rewriteIruleRefs = require('../util/convert/rewriteIruleRefs');
 
 const searchforObject = (json, obj, tenant, application) => {
     /* Search for linked object by name or path.
@@ -56,12 +57,32 @@ const searchForObjectAndDependents = (dependents, json, objName, tenantApp) => {
         if (depObj.objTenant !== tenantApp.tenant || depObj.objApplication !== tenantApp.application) {
             objName = `/${tenantApp.tenantTarget}/${tenantApp.applicationTarget}/${depObj.objName}`;
         }
-        dependents[depObj.objName] = depObj.obj;
-        searchForDependents(dependents, json, depObj.obj, tenantApp);
+        // object is already collected (e.g. virtual and iRule referencing each other)
+        if (dependents[depObj.objName] !== depObj.obj) {
+            dependents[depObj.objName] = depObj.obj;
+            searchForDependents(dependents, json, depObj.obj, tenantApp);
+        }
     }
     return objName;
 };
 
+const searchForIruleDependents = (dependents, json, iRule, tenantApp) => {
+    /* Find objects referenced by iRule commands (pool, class match, etc.) and collect them as dependents.
+       Return iRule with references to relocated objects.
+     */
+
+    const isBase64 = typeof iRule === 'object' && typeof iRule.base64 === 'string';
+    if (!isBase64 && typeof iRule !== 'string') return iRule;
+
+    const text = isBase64 ? Buffer.from(iRule.base64, 'base64').toString() : iRule;
+    const newText = rewriteIruleRefs(text, ({ name }) => {
+        const split = name.split('/');
+        if (split.length !== 4 || !(json[split[1]] && json[split[1]][split[2]])) return undefined;
+        return searchForObjectAndDependents(dependents, json, name, tenantApp);
+    });
+    return isBase64 ? { base64: Buffer.from(newText).toString('base64') } : newText;
+};
+
 const searchForDependents = (dependents, json, confObj, tenantApp) => {
     /* Go recursively through objects and search all linked and populate dependents array.
        Populate dependents array.
@@ -71,6 +92,10 @@ const searchForDependents = (dependents, json, confObj, tenantApp) => {
     const keysToSkip = ['remark', 'class', 'id', 'iRule'];
     for (let i = 0; i < objKeys.length; i += 1) {
         const confKey = objKeys[i];
+        if (confKey === 'iRule' && confObj.class === 'iRule') {
+            confObj.iRule = searchForIruleDependents(dependents, json, confObj.iRule, tenantApp);
+            continue;
+        }
         if (keysToSkip.includes(confKey)) continue;
         const obj = confObj[confKey];
         if (typeof obj === 'boolean') continue;
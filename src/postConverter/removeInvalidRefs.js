@@ -16,21 +16,27 @@
 
 'use strict';
 
+const formatSource = require('../util/formatSource');
 const log = require('../util/log');
 
 const idx = (p, o) => p.reduce((xs, x) => (xs && xs[x] ? xs[x] : null), o);
 
-function removeInvalidRefs(obj, origObj) {
+function walk(obj, declaration, provenance, objPath) {
     Object.keys(obj)
         .filter((k) => typeof obj[k] === 'object' && obj[k].class)
         .forEach((key) => {
-            const declaration = origObj || obj;
             if (obj[key].class === 'Tenant' || obj[key].class === 'Application') {
-                return removeInvalidRefs(obj[key], declaration);
+                return walk(obj[key], declaration, provenance, `${objPath}/${key}`);
             }
-            return deleteRef(obj[key], declaration, key);
+            const source = provenance[`${objPath}/${key}`];
+            return deleteRef(obj[key], declaration, key, source ? ` (${formatSource(source)})` : '');
         });
-    return obj;
+}
+
+// provenance (optional) maps declaration paths to origin of objects, used in warnings
+function removeInvalidRefs(declaration, provenance = {}) {
+    walk(declaration, declaration, provenance, '');
+    return declaration;
 }
 
 const getRefdObj = (item, origObj) => {
@@ -42,7 +48,7 @@ const getRefdObj = (item, origObj) => {
 
 const countSlashes = (str) => (str.match(/\//g) || []).length;
 
-function deleteRef(obj, origObj, objName) {
+function deleteRef(obj, origObj, objName, location) {
     Object.keys(obj)
         .filter((key) => obj[key])
         .forEach((key) => {
@@ -53,7 +59,7 @@ function deleteRef(obj, origObj, objName) {
                     const refdObj = getRefdObj(obj[key][i], origObj);
                     if (!refdObj) {
                         // remove item from array
-                        log.warn(`Invalid reference removed: ${objName}.${key}: ${JSON.stringify(obj[key][i])}`);
+                        log.warn(`Invalid reference removed: ${objName}.${key}: ${JSON.stringify(obj[key][i])}${location}`);
                         obj[key].splice(i, 1);
                         i -= 1;
                     }
@@ -63,14 +69,14 @@ function deleteRef(obj, origObj, objName) {
                 const refdObj = getRefdObj(obj[key], origObj);
                 if (!refdObj) {
                     // wrapped ref
-                    log.warn(`Invalid reference removed: ${objName}.${key}: ${JSON.stringify(obj[key])}`);
+                    log.warn(`Invalid reference removed: ${objName}.${key}: ${JSON.stringify(obj[key])}${location}`);
                     delete obj[key];
                 }
             } else if (typeof obj[key] === 'string' && obj[key].startsWith('/') && countSlashes(obj[key]) === 3) {
                 const refdObj = getRefdObj({ use: obj[key] }, origObj);
                 if (!refdObj) {
                     // string ref
-                    log.warn(`Invalid reference removed: ${objName}.${key}: ${obj[key]}`);
+                    log.warn(`Invalid reference removed: ${objName}.${key}: ${obj[key]}${location}`);
                     delete obj[key];
                 }
             }
@@ -17,44 +17,94 @@
 'use strict';
 
 const decompress = require('decompress');
+const fs = require('fs').promises;
+const openpgp = require('openpgp');
 const log = require('../util/log');
 
-// extract only relevant files from config and var
-// decompress function accepts UCS path or UCS buffer
-module.exports = (pathOrBuffer) => decompress(pathOrBuffer)
-    .then((contents) => contents.filter((file) => {
-        if (file.type === 'symlink') return false;
-        const split = file.path.split('/');
-
-        // keep config/*.conf
-        if (split[0] === 'config' && split[1].endsWith('.conf')) {
-            return true;
-        }
+const PGP_HEADER = '-----BEGIN PGP MESSAGE-----';
+// filestore types of 'sys file *' objects: certificates, keys, CRLs, data-group files, external monitors, iFiles
+const FILESTORE_TYPES = '(certificate|certificate_key|certificate_revocation_list|data_group|external_monitor|ifile)';
+const FILESTORE_FILE = new RegExp(`^var/tmp/filestore_temp/files_d/[^/]+_d/${FILESTORE_TYPES}_d/[^/]+$`);
 
-        // keep config/bigip.license
-        if (split[0] === 'config' && split[1].endsWith('.license')) {
-            return true;
-        }
+// UCS saved with 'tmsh save sys ucs <name> passphrase <pass>' is an ASCII-armored PGP message
+const isEncrypted = (buffer) => buffer.slice(0, PGP_HEADER.length).toString() === PGP_HEADER;
 
-        // keep config/partitions/**/*.conf
-        if (file.path.startsWith('config/partitions') && file.path.endsWith('.conf')) {
-            return true;
-        }
+// decrypt UCS buffer locally, resolves with decrypted (tar.gz) buffer
+const decrypt = (buffer, passphrase) => openpgp.readMessage({ armoredMessage: buffer.toString() })
+    .catch((err) => {
+        log.error(err);
+        throw new Error('Error decrypting UCS: file is not a valid encrypted archive');
+    })
+    .then((message) => openpgp.decrypt({ message, passwords: [passphrase], format: 'binary' })
+        .catch((err) => {
+            log.debug(err.message);
+            throw new Error('Unable to decrypt UCS: incorrect passphrase');
+        }))
+    .then((result) => Buffer.from(result.data));
 
-        // skip var/tmp/filestore_temp/files_d/Common_d/epsec_package_d -- KB25633150
-        if (file.path.includes('epsec_package_d')) {
-            return false;
+// decrypt UCS if it is passphrase-protected, otherwise pass it through as is
+const prepare = (pathOrBuffer, passphrase) => Promise.resolve()
+    .then(() => (Buffer.isBuffer(pathOrBuffer) ? pathOrBuffer : fs.readFile(pathOrBuffer)))
+    .catch((err) => {
+        log.error(err);
+        throw new Error('Error extracting UCS');
+    })
+    .then((buffer) => {
+        if (!isEncrypted(buffer)) {
+            if (passphrase) log.debug('UCS is not encrypted, ignoring passphrase');
+            return buffer;
         }
+        if (!passphrase) throw new Error('UCS is encrypted, passphrase required');
+        return decrypt(buffer, passphrase);
+    });
 
-        // keep var/tmp/filestore_temp/files_d/* and var/tmp/cert_tmp/conf
-        if ((file.path.startsWith('var/tmp/filestore_temp/files_d/Common_d')
-             || file.path.startsWith('var/tmp/cert_temp/conf'))
-            && (file.path.endsWith('.crt') || file.path.endsWith('.key'))) {
-            return true;
-        }
+// keep only relevant files from config and var
+const isRelevant = (file) => {
+    if (file.type === 'symlink') return false;
+    const split = file.path.split('/');
+
+    // keep config/*.conf
+    if (split[0] === 'config' && split[1].endsWith('.conf')) {
+        return true;
+    }
+
+    // keep config/bigip.license
+    if (split[0] === 'config' && split[1].endsWith('.license')) {
+        return true;
+    }
 
+    // keep config/partitions/**/*.conf
+    if (file.path.startsWith('config/partitions') && file.path.endsWith('.conf')) {
+        return true;
+    }
+
+    // skip var/tmp/filestore_temp/files_d/Common_d/epsec_package_d -- KB25633150
+    if (file.path.includes('epsec_package_d')) {
         return false;
-    })).catch((err) => {
-        log.error(err);
-        throw new Error('Error extracting UCS');
-    });
+    }
+
+    // keep filestore of every partition: var/tmp/filestore_temp/files_d/<partition>_d/<type>_d/<file>
+    if (FILESTORE_FILE.test(file.path)) {
+        return true;
+    }
+
+    // keep var/tmp/cert_temp/conf
+    if (file.path.startsWith('var/tmp/cert_temp/conf')
+        && (file.path.endsWith('.crt') || file.path.endsWith('.key'))) {
+        return true;
+    }
+
+    return false;
+};
+
+// extract only relevant files from config and var
+// accepts UCS path or UCS buffer and optional passphrase for encrypted UCS
+module.exports = (pathOrBuffer, passphrase) => prepare(pathOrBuffer, passphrase)
+    .then((buffer) => decompress(buffer)
+        .then((contents) => contents.filter(isRelevant))
+        .catch((err) => {
+            log.error(err);
+            throw new Error('Error extracting UCS');
+        }));
+
+module.exports.isRelevant = isRelevant;
@@ -0,0 +1,43 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const decompress = require('decompress');
+const extract = require('./extract');
+const log = require('../util/log');
+
+// QKView keeps filestore in config/filestore, while UCS keeps it in var/tmp/filestore_temp
+// remap QKView paths to UCS layout, so certs are located the same way for both sources
+const toUcsPath = (file) => {
+    if (file.path.startsWith('config/filestore/')) {
+        file.path = file.path.replace('config/filestore/', 'var/tmp/filestore_temp/');
+    }
+    return file;
+};
+
+// extract only relevant files from QKView
+// decompress function accepts QKView path or QKView buffer
+module.exports = (pathOrBuffer) => decompress(pathOrBuffer)
+    .catch((err) => {
+        log.error(err);
+        throw new Error('Error extracting QKView');
+    })
+    .then((contents) => {
+        const files = contents.map(toUcsPath).filter(extract.isRelevant);
+        if (!files.length) throw new Error('Error extracting QKView: no configuration files found');
+        return files;
+    });
@@ -20,32 +20,47 @@
 
 const { program } = require('commander');
 
+// allow option to be repeated: -c a.conf -c b.conf
+const collect = (value, previous) => previous.concat([value]);
+
 module.exports = () => {
     program
         .usage('[options] <file ...>')
         .option('-a, --application-target <application_target>', 'Put virtual server to specific application. Works only if --vs-name specified. Original VS application used if option not specified.')
-        .option('-c, --conf <path>', 'Specify path to input conf/SCF file.')
+        .option('-c, --conf <path>', 'Specify path to input conf/SCF file or directory, \'-\' to read from stdin. Can be repeated.', collect, [])
         .option('-d, --debug', 'Log generated declaration to console.')
         .option('-e, --extended', 'Show default values in converted stanzas.')
-        .option('-o, --output <path>', 'Specify output file for the converted declaration.')
+        .option('-o, --output <path>', 'Specify output file for the converted declaration, \'-\' to write to stdout.')
         .option('-t, --tenant-target <tenant_target>', 'Put virtual server to specific tenant. Works only if --vs-name specified. Original VS tenant used if option not specified.')
         .option('-u, --ucs <path>', 'Specify path to input UCS file.')
         .option('-v, --vs-name <tenant/application/vs_name>', 'Filter output by the virtual server name.')
+        .option('--apm-policy-dir <path>', 'Specify directory with exported APM policies (<policy name>.tar.gz) to reference from Access_Profile and Per_Request_Access_Policy.')
         .option('--as3-converted', 'Log ACC/AS3-converted tmsh objects to console.')
         .option('--as3-not-converted', 'Log tmsh that were not directly converted')
         .option('--as3-recognized', 'Log list of AS3-recognized BIG-IP object types to console.')
         .option('--controls', 'Add debugging "Controls" stanza to declaration.')
         .option('--declarative-onboarding', 'Enable DO conversion instead of AS3.')
         .option('--disable-analytics', 'Disable analytics and reporting.')
+        .option('--keep-bigip-refs', 'Reference objects ACC cannot convert as existing BIG-IP objects.')
         .option('--log <file>', 'Output log to the specified file.')
         .option('--next', 'Enable conversion for AS3 Next.')
         .option('--next-not-converted', 'Enable conversion for AS3 Next and provide list of not supported.')
+        .option('--provenance-remark', 'Put source file and lines of every converted object into its remark.')
+        .option('--qkview <path>', 'Specify path to input QKView file.')
+        .option('--rename-map <file>', 'Write objects converted under other name to the specified file (CSV if file has .csv extension, JSON otherwise).')
         .option('--safe-mode <bool>', 'Enable to skip post-conversion processing.')
-        .option('--summary', 'Display summary of generated declaration.');
+        .option('--source-version <version>', 'Specify BIG-IP version of input config, overrides TMSH-VERSION header.')
+        .option('--strict', 'Fail on the first malformed object instead of skipping it.')
+        .option('--summary', 'Display summary of generated declaration.')
+        .option('--ucs-passphrase <passphrase>', 'Specify passphrase to decrypt passphrase-protected UCS file.')
+        .option('--waf-policy-dir <path>', 'Specify directory with exported ASM policies (<policy name>.xml or .json) to embed into WAF_Policy.');
 
     program.parse(process.argv);
     const options = program.opts();
+    const inputs = [options.ucs, options.qkview].concat(options.conf).filter((x) => x);
+    const fromStdin = inputs.filter((x) => x === '-').length;
     const config = {
+        apmPolicyDir: options.apmPolicyDir,
         applicationTarget: options.applicationTarget,
         as3Converted: options.as3Converted,
         as3NotConverted: options.as3NotConverted,
@@ -56,20 +71,41 @@ module.exports = () => {
         debug: options.debug,
         declarativeOnboarding: options.declarativeOnboarding,
         disableAnalytics: options.disableAnalytics,
+        keepBigipRefs: options.keepBigipRefs,
         logFile: options.log,
         next: options.next,
         nextNotConverted: options.nextNotConverted,
-        output: options.output || 'output.json',
+        // declaration goes to stdout by default when input comes from stdin
+        output: options.output || (fromStdin ? '-' : 'output.json'),
+        provenanceRemark: options.provenanceRemark,
+        qkview: options.qkview,
+        renameMap: options.renameMap,
         safeMode: options.safeMode === 'true',
         showExtended: options.extended,
+        sourceVersion: options.sourceVersion,
+        strict: options.strict,
         summary: options.summary,
         tenantTarget: options.tenantTarget,
         ucs: options.ucs,
-        vsName: options.vsName
+        ucsPassphrase: options.ucsPassphrase,
+        vsName: options.vsName,
+        wafPolicyDir: options.wafPolicyDir
     };
 
-    if ((config.ucs && config.conf) || (!config.ucs && !config.conf)) {
-        console.error('Invalid option, please select one input type: UCS or conf/SCF.');
+    // one archive (UCS or QKView) at most, conf files are merged on top of it
+    const archives = [config.ucs, config.qkview].filter((x) => x);
+    if (archives.length > 1 || (archives.length === 0 && config.conf.length === 0)) {
+        console.error('Invalid option, please select one archive (UCS or QKView) and/or conf/SCF files.');
+        process.exit(1);
+    }
+
+    if (config.sourceVersion && !/^\d+(\.\d+)*$/.test(config.sourceVersion)) {
+        console.error('Invalid option, --source-version should be BIG-IP version, e.g. 15.1 or 16.1.3.');
+        process.exit(1);
+    }
+
+    if (fromStdin > 1) {
+        console.error('Invalid option, stdin (\'-\') can be used for one input only.');
         process.exit(1);
     }
     return config;
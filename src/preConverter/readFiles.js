@@ -17,25 +17,92 @@
 'use strict';
 
 const fs = require('fs').promises;
+const path = require('path');
 const extract = require('./extract');
+const extractQkview = require('./extractQkview');
+const log = require('../util/log');
+
+// files picked up when walking a conf directory (tmsh, SCF and REST exports)
+const CONFIG_FILE = /\.(conf|scf|json)$/;
+
+// '-' as input path reads from stdin, content is stored under 'stdin' key
+const STDIN = '-';
+
+// convert array of extracted archive files to { path: content } object
+const toFileObj = (fileArr) => Object.assign({}, ...fileArr.filter((x) => x.type !== 'directory')
+    .filter((x) => !x.path.includes('._'))
+    .map((x) => ({ [x.path]: x.data.toString() })));
 
 const fromConf = (confPath) => fs.readFile(confPath).then((data) => ({ [confPath]: data.toString() }));
 
-const fromUCS = (ucsPath) => extract(ucsPath)
-    .then((fileArr) => Object.assign({}, ...fileArr.filter((x) => x.type !== 'directory')
-        .filter((x) => !x.path.includes('._'))
-        .map((x) => ({ [x.path]: x.data.toString() }))));
+const fromQkview = (qkviewPath) => extractQkview(qkviewPath).then(toFileObj);
+
+const fromUCS = (ucsPath, passphrase) => extract(ucsPath, passphrase).then(toFileObj);
+
+// recursively collect config files from directory, sorted for stable merge order
+const walkDir = (dirPath) => fs.readdir(dirPath, { withFileTypes: true })
+    .then((entries) => Promise.all(entries
+        .sort((a, b) => (a.name < b.name ? -1 : 1))
+        .map((entry) => {
+            const entryPath = path.join(dirPath, entry.name);
+            if (entry.isDirectory()) return walkDir(entryPath);
+            return CONFIG_FILE.test(entry.name) ? [entryPath] : [];
+        })))
+    .then((pathArrs) => [].concat(...pathArrs));
+
+const fromDir = (dirPath) => walkDir(dirPath)
+    .then((confPaths) => Promise.all(confPaths.map(fromConf)))
+    .then((fileArr) => Object.assign({}, ...fileArr));
+
+// read whole stream (stdin by default), resolves with buffer
+const readStream = (stream) => new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(Buffer.from(chunk)));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+});
+
+// stdin may carry UCS, QKView or conf/SCF/REST export
+const fromStdin = (config) => readStream(handlePathArr.stdin)
+    .then((buffer) => {
+        if (config.qkview === STDIN) return fromQkview(buffer);
+        if (config.ucs === STDIN) return fromUCS(buffer, config.ucsPassphrase);
+        return { stdin: buffer.toString() };
+    });
+
+// config.qkview is the path of QKView input
+// config.ucsPassphrase is used to decrypt passphrase-protected UCS
+const fromPath = (inputPath, config) => {
+    if (inputPath === STDIN) return fromStdin(config);
+    if (inputPath === config.qkview) return fromQkview(inputPath);
+    if (inputPath.includes('.ucs')) return fromUCS(inputPath, config.ucsPassphrase);
+    return fs.stat(inputPath)
+        .then((stats) => (stats.isDirectory() ? fromDir(inputPath) : fromConf(inputPath)));
+};
 
-function handlePathArr(pathArr) {
-    return Promise.all(
-        pathArr.map((path) => (path.includes('.ucs') ? fromUCS(path) : fromConf(path)))
-    ).then((fileArr) => Object.assign({}, ...fileArr))
-        .then((fileObj) => {
+// merge files from all inputs, later inputs (conf overlays) take precedence
+// handlePathArr.origin maps every file to the input (UCS, QKView, dir or conf) it came from
+function handlePathArr(pathArr, config = {}) {
+    return Promise.all(pathArr.map((inputPath) => fromPath(inputPath, config)))
+        .then((fileArr) => {
+            const fileObj = {};
+            const origin = {};
+            fileArr.forEach((files, i) => {
+                Object.keys(files).forEach((key) => {
+                    if (origin[key]) log.warn(`${key} from ${pathArr[i]} overrides the one from ${origin[key]}`);
+                    fileObj[key] = files[key];
+                    origin[key] = pathArr[i];
+                });
+            });
             handlePathArr.data = fileObj;
+            handlePathArr.origin = origin;
             return fileObj;
         });
 }
 
+handlePathArr.toFileObj = toFileObj;
 handlePathArr.data = {};
+handlePathArr.origin = {};
+handlePathArr.stdin = process.stdin;
 
 module.exports = handlePathArr;
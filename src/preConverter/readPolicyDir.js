@@ -0,0 +1,39 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs').promises;
+const path = require('path');
+const log = require('../util/log');
+
+// read exported policies from directory (not recursive), matched later by policy name
+// output: { '<file name without extension>': { file: '<path>', content: <Buffer> } }
+module.exports = (dirPath, extensions) => fs.readdir(dirPath, { withFileTypes: true })
+    .then((entries) => Promise.all(entries
+        .filter((entry) => entry.isFile())
+        .map((entry) => {
+            const ext = extensions.find((x) => entry.name.endsWith(x));
+            if (!ext) return {};
+            const file = path.join(dirPath, entry.name);
+            return fs.readFile(file)
+                .then((content) => ({ [entry.name.slice(0, -ext.length)]: { file, content } }));
+        })))
+    .then((policies) => Object.assign({}, ...policies))
+    .catch((err) => {
+        log.error(err);
+        throw new Error(`Error reading policy directory: ${dirPath}`);
+    });
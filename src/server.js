@@ -22,8 +22,10 @@ const express = require('express');
 const multer = require('multer');
 
 const extract = require('./preConverter/extract');
+const extractQkview = require('./preConverter/extractQkview');
 const log = require('./util/log');
 const main = require('./main').main;
+const readFiles = require('./preConverter/readFiles');
 
 const app = express();
 const port = process.env.PORT || 8080;
@@ -45,10 +47,15 @@ app.post('/converter', upload.any(), (req, res, next) => {
         controls: checkBool(fields.controls),
         declarativeOnboarding: checkBool(fields.declarativeOnboarding),
         disableAnalytics: checkBool(fields.disableAnalytics),
+        keepBigipRefs: checkBool(fields.keepBigipRefs),
         next: checkBool(fields.next),
         nextNotConverted: checkBool(fields.nextNotConverted),
+        provenanceRemark: checkBool(fields.provenanceRemark),
+        qkview: req.files.some((file) => file.fieldname === 'qkview'),
         safeMode: checkBool(fields.safeMode),
         server: true,
+        sourceVersion: fields.sourceVersion,
+        strict: checkBool(fields.strict),
         vsName: fields.vsName,
         applicationTarget: fields.applicationTarget,
         tenantTarget: fields.tenantTarget,
@@ -56,18 +63,24 @@ app.post('/converter', upload.any(), (req, res, next) => {
         showExtended: checkBool(fields.showExtended)
     };
 
+    // keep passphrase out of config, as config is returned in verbose response
+    const ucsPassphrase = fields.ucsPassphrase;
+
     return Promise.resolve()
         // Extract configs from UCS and .conf/scf files
         .then(async () => Object.assign({}, ...await Promise.all(
             req.files.map((file) => {
                 const filename = file.originalname;
                 if (file.fieldname === 'ucs') {
-                    return extract(file.buffer)
+                    return extract(file.buffer, ucsPassphrase)
                         .then((fileArr) => Object.assign(...fileArr
                             .filter((x) => x.type !== 'directory')
                             .filter((x) => !x.path.includes('._'))
                             .map((x) => ({ [x.path]: x.data.toString() }))));
                 }
+                if (file.fieldname === 'qkview') {
+                    return extractQkview(file.buffer).then(readFiles.toFileObj);
+                }
                 return { [filename]: file.buffer.toString() };
             })
         )))
@@ -82,11 +95,26 @@ app.post('/converter', upload.any(), (req, res, next) => {
                     config,
                     logs: results.metadata.logs,
                     output: results.declaration,
+                    apmPolicies: results.metadata.apmPolicies,
                     as3Recognized: results.metadata.as3Recognized,
                     as3Converted: results.metadata.as3Converted,
                     as3NotConverted: results.metadata.as3NotConverted,
                     as3NextNotConverted: results.metadata.as3NextNotConverted,
-                    keyNextConverted: results.metadata.keyNextConverted
+                    bigipRefs: results.metadata.bigipRefs,
+                    discoveryPlaceholders: results.metadata.discoveryPlaceholders,
+                    externalDataGroups: results.metadata.externalDataGroups,
+                    iapps: results.metadata.iapps,
+                    keyNextConverted: results.metadata.keyNextConverted,
+                    missingSecrets: results.metadata.missingSecrets,
+                    nodeConflicts: results.metadata.nodeConflicts,
+                    parseErrors: results.metadata.parseErrors,
+                    provenance: results.metadata.provenance,
+                    renames: results.metadata.renames,
+                    source: results.metadata.source,
+                    unresolvedIruleRefs: results.metadata.unresolvedIruleRefs,
+                    unsupportedPolicyRules: results.metadata.unsupportedPolicyRules,
+                    unsupportedRouteDomains: results.metadata.unsupportedRouteDomains,
+                    wafPolicies: results.metadata.wafPolicies
                 });
             }
             return res.status(201).json(results.declaration);
@@ -17,11 +17,15 @@
 'use strict';
 
 module.exports = function getCidrFromNetmask(netmask, noSlash) {
-    if (netmask === 'any') {
+    if (netmask === 'any' || netmask === 'any6') {
         return noSlash ? '0' : '/0';
     }
     let cidr = 0;
-    const maskNodes = netmask.match(/(\d+)/g);
+
+    // IPv6 netmask consists of hex groups, e.g. 'ffff:ffff::'
+    const maskNodes = netmask.includes(':')
+        ? netmask.split(':').filter((x) => x).map((x) => parseInt(x, 16))
+        : netmask.match(/(\d+)/g);
     maskNodes.forEach((m) => {
         // eslint-disable-next-line no-bitwise
         cidr += (((m >>> 0).toString(2)).match(/1/g) || []).length;
@@ -16,7 +16,7 @@
 
 'use strict';
 
-const defaults = require('../../lib/bigipDefaults.json');
+const versionRules = require('../../lib/versionRules');
 
 // currently only supports ltm
 module.exports = (objName, file) => {
@@ -71,12 +71,15 @@ module.exports = (objName, file) => {
         '/Common/ntlm': 'ntlm',
         '/Common/oneconnect': 'one-connect',
         '/Common/optimized-caching': 'web-acceleration',
+        '/Common/pptp': 'pptp',
         '/Common/radiusLB': 'radius',
         '/Common/radiusLB-subscriber-aware': 'radius',
         '/Common/request-adapt': 'request-adapt',
         '/Common/request-log': 'request-log',
         '/Common/response-adapt': 'response-adapt',
         '/Common/rewrite': 'rewrite',
+        '/Common/rtsp': 'rtsp',
+        '/Common/sctp': 'sctp',
         '/Common/security-fastL4': 'fastl4',
         '/Common/splitsession-default-tcp': 'tcp',
         '/Common/spm': 'spm',
@@ -87,6 +90,7 @@ module.exports = (objName, file) => {
         '/Common/tcp-legacy': 'tcp',
         '/Common/tcp-mobile-optimized': 'tcp',
         '/Common/tcp-wan-optimized': 'tcp',
+        '/Common/tftp': 'tftp',
         '/Common/udp': 'udp',
         '/Common/udp_decrement_ttl': 'udp',
         '/Common/udp_gtm_dns': 'udp',
@@ -109,7 +113,7 @@ module.exports = (objName, file) => {
 
     for (let i = 0; i < keys.length; i += 1) {
         const ltmOrPem = keys[i].startsWith('ltm ') || keys[i].startsWith('pem ');
-        if (keys[i].endsWith(` ${objName}`) && !defaults.includes(objName)) {
+        if (keys[i].endsWith(` ${objName}`) && !versionRules.isDefault(objName)) {
             if (ltmOrPem) {
                 return keys[i].split(' ')[2];
             }
@@ -0,0 +1,28 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// input: route domain name, e.g. '/Common/0' or '/Common/rd_tenant'
+// output: numeric route domain id used in addresses, undefined if it cannot be resolved
+module.exports = (name, file = {}) => {
+    const rd = file[`net route-domain ${name}`];
+    if (rd && rd.id !== undefined) return parseInt(rd.id, 10);
+
+    // default route domain names match their ids
+    const id = name.split('/').at(-1);
+    return /^\d+$/.test(id) ? parseInt(id, 10) : undefined;
+};
@@ -17,12 +17,12 @@
 'use strict';
 
 const formatStr = require('./formatStr');
-const defaults = require('../../lib/bigipDefaults.json');
+const versionRules = require('../../lib/versionRules');
 
 module.exports = (str) => {
     str = formatStr(str);
     let pathSplit = '';
-    if (defaults.includes(str)) return { bigip: str };
+    if (versionRules.isDefault(str)) return { bigip: str };
     pathSplit = str.split('/');
     if (pathSplit.length === 3) str = str.replace(`/${pathSplit[1]}/`, `/${pathSplit[1]}/Shared/`);
     return { use: str };
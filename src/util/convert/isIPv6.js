@@ -16,6 +16,7 @@
 
 'use strict';
 
+// compressed forms like '::' or '::1' have 3 segments only
 module.exports = (str) => typeof str === 'string'
-    && str.split(':').length >= 4
+    && str.split(':').length >= 3
     && str.split('.').length <= 2;
@@ -17,7 +17,7 @@
 'use strict';
 
 const log = require('../log');
-const readFiles = require('../../preConverter/readFiles');
+const loadFilestoreFile = require('./loadFilestoreFile');
 
 module.exports = (mockPath, loc, file) => {
     const nameSplit = mockPath.split('/');
@@ -26,8 +26,7 @@ module.exports = (mockPath, loc, file) => {
     const name = bigipName.length > 1 ? bigipName.slice(0, -1).join('_') : bigipName[0];
     try {
         const certPath = file[`sys file ssl-${isKey ? 'key' : 'cert'} ${mockPath}`]['cache-path'];
-        const fileName = certPath.split('/').at(-1).replace(/:/g, '');
-        const value = readFiles.data[`/var/tmp/filestore_temp/files_d/${loc.tenant}_d/certificate_${isKey ? 'key_' : ''}d/${fileName}`];
+        const value = loadFilestoreFile(certPath);
 
         if (!value) throw Error();
         return {
@@ -0,0 +1,70 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// extracted filestore file: var/tmp/filestore_temp/files_d/<partition>_d/<type>_d/<file>
+// types of 'sys file *' objects are indexed: certificates, keys, CRLs, data-group files, external monitors, iFiles
+const FILESTORE_TYPES = '(?:certificate|certificate_key|certificate_revocation_list|data_group|external_monitor|ifile)';
+const FILESTORE_FILE = new RegExp(`^/?var/tmp/filestore_temp/files_d/([^/]+)_d/(${FILESTORE_TYPES}_d)/([^/]+)$`);
+
+// 'cache-path' of 'sys file *' object: /config/filestore/files_d/<partition>_d/<type>_d/<file>
+const CACHE_PATH = /files_d\/([^/]+)_d\/([^/]+_d)\/([^/]+)$/;
+
+// colons are dropped from file names, e.g. ':Common:default.crt_1234_1' -> 'Commondefault.crt_1234_1'
+const normalizeName = (name) => name.replace(/:/g, '');
+
+// index filestore by partition: { '<partition>': { '<type>_d/<file>': content } }
+const index = (data) => {
+    const filestore = {};
+    Object.keys(data).forEach((key) => {
+        const match = FILESTORE_FILE.exec(key);
+        if (!match) return;
+        const [, partition, type, name] = match;
+        if (!filestore[partition]) filestore[partition] = {};
+        filestore[partition][`${type}/${normalizeName(name)}`] = data[key];
+    });
+    return filestore;
+};
+
+// input files of running conversion, set by use(), index is built once per input files
+let active = {};
+const indexes = new WeakMap();
+
+// input: 'cache-path' of 'sys file *' object, e.g.
+//   /config/filestore/files_d/Tenant_d/certificate_d/:Tenant:App:cert.crt_163525_1
+// output: file content from UCS/QKView filestore, undefined if file is not found
+module.exports = (cachePath) => {
+    const match = CACHE_PATH.exec(cachePath || '');
+    if (!match) return undefined;
+
+    if (!indexes.has(active)) indexes.set(active, index(active));
+
+    const [, partition, type, name] = match;
+    return (indexes.get(active)[partition] || {})[`${type}/${normalizeName(name)}`];
+};
+
+// run fn (synchronous) with filestore of input files: { '<file path>': content }, empty by default
+module.exports.use = (files, fn) => {
+    const previous = active;
+    active = files || {};
+    try {
+        return fn();
+    } finally {
+        active = previous;
+    }
+};
+module.exports.index = index;
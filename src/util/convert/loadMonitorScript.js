@@ -0,0 +1,46 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const log = require('../log');
+const loadFilestoreFile = require('./loadFilestoreFile');
+const unquote = require('./unquote');
+
+// embed script of 'ltm/gtm monitor external' from UCS/QKView filestore instead of pathname,
+// pathname is kept (with warning) if script is not found
+module.exports = (rootObj, loc, file) => {
+    if (rootObj.environmentVariables) {
+        Object.keys(rootObj.environmentVariables).forEach((name) => {
+            rootObj.environmentVariables[name] = unquote(rootObj.environmentVariables[name]);
+        });
+    }
+
+    if (!rootObj.pathname || rootObj.pathname === 'none') return rootObj;
+
+    const sysFile = file[`sys file external-monitor ${rootObj.pathname}`] || {};
+    const script = loadFilestoreFile(sysFile['cache-path']);
+    if (script === undefined) {
+        log.warn(`External monitor script not found, pathname is kept: ${loc.original} (${rootObj.pathname})`);
+        return rootObj;
+    }
+
+    // script runs as is on BIG-IP, backquotes are shell syntax, not AS3 expansion
+    rootObj.script = { base64: Buffer.from(script).toString('base64') };
+    rootObj.expand = false;
+    delete rootObj.pathname;
+    return rootObj;
+};
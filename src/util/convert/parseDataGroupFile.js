@@ -0,0 +1,67 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const getCidrFromNetmask = require('./getCidrFromNetmask');
+
+// drop surrounding quotes and escapes of '"' and '\'
+const unescape = (str) => str.trim().replace(/^"([\s\S]*)"$/, '$1').replace(/\\(["\\])/g, '$1');
+
+// position of closing quote of string starting with '"', -1 if there is none
+const closingQuote = (str) => {
+    for (let i = 1; i < str.length; i += 1) {
+        if (str[i] === '\\') i += 1;
+        else if (str[i] === '"') return i;
+    }
+    return -1;
+};
+
+// 'host 10.0.0.1', 'network 10.0.0.0 mask 255.0.0.0', 'network 2001:db8:: prefixlen 32' -> '10.0.0.0/8'
+const formatAddress = (key) => {
+    const split = key.split(/\s+/).filter((x) => !['host', 'network'].includes(x));
+    if (split[1] === 'mask') return `${split[0]}${getCidrFromNetmask(split[2])}`;
+    if (split[1] === 'prefixlen') return `${split[0]}/${split[2]}`;
+    return split[0];
+};
+
+// split record on first separator which is not quoted, key is quoted only in string data-groups
+const parseRecord = (line, separator) => {
+    const end = line.startsWith('"') ? closingQuote(line) : -1;
+    const index = line.indexOf(separator, end + 1);
+    if (index === -1) return { key: unescape(line), value: '' };
+    return {
+        key: unescape(line.slice(0, index)),
+        value: unescape(line.slice(index + separator.length))
+    };
+};
+
+/* PARSE CONTENT OF EXTERNAL DATA-GROUP FILE ('sys file data-group')
+ * one record per line, separated by comma: <key> [<separator> <value>],
+ *   string:  "alpha" := "1",
+ *   integer: 80 := "http",
+ *   ip:      host 10.0.0.1 := "server", network 10.0.0.0 mask 255.0.0.0,
+ * output: AS3 Data_Group records [{ key, value }]
+ */
+module.exports = (content, type = 'string', separator = ':=') => content.split(/\r?\n/)
+    .map((line) => line.trim().replace(/,$/, '').trim())
+    .filter((line) => line && !line.startsWith('#'))
+    .map((line) => {
+        const record = parseRecord(line, separator);
+        if (type === 'integer') record.key = parseInt(record.key, 10);
+        if (type === 'ip') record.key = formatAddress(record.key);
+        return record;
+    });
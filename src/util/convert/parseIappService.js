@@ -0,0 +1,52 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const path = require('path');
+const unquote = require('./unquote');
+
+// '/Common/f5.http.v1.2.0rc7' -> 'f5.http'
+const templateName = (template) => path.basename(template || '').replace(/\.v\d.*$/, '');
+
+/* FLATTEN VARIABLES AND TABLES OF PARSED 'sys application service'
+ * output: {
+ *   template: 'f5.http',
+ *   variables: { pool__addr: '10.0.1.10', ... },
+ *   tables: { pool__members: [{ addr: '10.1.1.11', port: '80' }, ...], ... }
+ * }
+ */
+module.exports = (service) => {
+    const variables = {};
+    Object.keys(service.variables || {}).forEach((name) => {
+        const { value } = service.variables[name];
+        if (value !== undefined) variables[name] = unquote(value);
+    });
+
+    const tables = {};
+    Object.keys(service.tables || {}).forEach((name) => {
+        const columns = service.tables[name]['column-names'] || [];
+        const rows = Object.values(service.tables[name].rows || {});
+        tables[name] = rows.map((row) => {
+            const values = [].concat(row.row || []);
+            return Object.assign({}, ...columns.map((column, i) => ({ [column]: unquote(values[i] || '') })));
+        });
+    });
+
+    return { template: templateName(service.template), variables, tables };
+};
+
+module.exports.templateName = templateName;
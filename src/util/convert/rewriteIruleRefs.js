@@ -0,0 +1,221 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// index after the ']' or '}' closing bracket or brace at i
+const matchClose = (str, i) => {
+    const open = str[i];
+    const close = open === '[' ? ']' : '}';
+    let depth = 0;
+    for (let j = i; j < str.length; j += 1) {
+        const char = str[j];
+        if (char === '\\') {
+            j += 1;
+        } else if (open === '[' && char === '{' && /\s|\[/.test(str[j - 1])) {
+            // braced word inside command substitution
+            j = matchClose(str, j) - 1;
+        } else if (char === open) {
+            depth += 1;
+        } else if (char === close) {
+            depth -= 1;
+            if (depth === 0) return j + 1;
+        }
+    }
+    return str.length;
+};
+
+// index after the closing quote of quoted word at i
+const matchQuote = (str, i) => {
+    for (let j = i + 1; j < str.length; j += 1) {
+        if (str[j] === '\\') j += 1;
+        else if (str[j] === '[') j = matchClose(str, j) - 1;
+        else if (str[j] === '"') return j + 1;
+    }
+    return str.length;
+};
+
+const isSpace = (char) => char === ' ' || char === '\t' || char === '\r';
+
+/* SPLIT TCL SCRIPT INTO COMMANDS
+ * output: [[{ text, start, end }, ...], ...], word positions are relative to str
+ */
+const parseCommands = (str) => {
+    const commands = [];
+    let words = [];
+    let i = 0;
+    while (i < str.length) {
+        const char = str[i];
+        if (isSpace(char) || (char === '\\' && str[i + 1] === '\n')) {
+            i += char === '\\' ? 2 : 1;
+        } else if (char === '\n' || char === ';') {
+            if (words.length) commands.push(words);
+            words = [];
+            i += 1;
+        } else if (char === '#' && !words.length) {
+            // comment up to the end of line
+            while (i < str.length && str[i] !== '\n') i += str[i] === '\\' ? 2 : 1;
+        } else {
+            const start = i;
+            if (char === '{') {
+                i = matchClose(str, i);
+            } else if (char === '"') {
+                i = matchQuote(str, i);
+            } else {
+                while (i < str.length && !isSpace(str[i]) && str[i] !== '\n' && str[i] !== ';') {
+                    if (str[i] === '[') i = matchClose(str, i);
+                    else i += str[i] === '\\' ? 2 : 1;
+                }
+            }
+            words.push({ text: str.slice(start, i), start, end: i });
+        }
+    }
+    if (words.length) commands.push(words);
+    return commands;
+};
+
+// name of object in word, undefined if it is not static ($variable, [command] or braced list)
+const staticName = (word) => {
+    if (!word || /[$[\]{}\\]/.test(word.text)) return undefined;
+    return word.text.replace(/^"(.*)"$/, '$1') || undefined;
+};
+
+// words after options: 'class match -value -- $x equals dg' -> ['$x', 'equals', 'dg']
+const skipOptions = (words) => {
+    const index = words.findIndex((word) => !word.text.startsWith('-'));
+    return index === -1 ? [] : words.slice(index);
+};
+
+// position of data-group name in arguments of 'class' subcommands
+const CLASS_ARG = {
+    element: 1, exists: 0, get: 0, lookup: 1, match: 2, names: 0, search: 0, size: 0, startsearch: 0, type: 0
+};
+
+// reference given by option: 'HSL::open -proto UDP -pool <pool>', 'LB::reselect pool <pool>'
+const optionRef = (args, option, kind) => {
+    const index = args.findIndex((word) => word.text === option);
+    return index === -1 ? undefined : { kind, word: args[index + 1] };
+};
+
+// full path which can point to object of config: '/Common/pub', '/Tenant/App/obj'
+const isFullPath = (name) => /^\/[\w.-]+(\/[\w.:%-]+)+$/.test(name);
+
+// object references of one command: [{ kind, word }]
+const commandRefs = (words) => {
+    const [command, ...args] = words;
+    switch (command.text) {
+    case 'pool':
+        return [{ kind: 'pool', word: args[0] }];
+    case 'active_members':
+    case 'active_nodes':
+    case 'members':
+        return [{ kind: 'pool', word: skipOptions(args)[0] }];
+    case 'snatpool':
+        return [{ kind: 'snatpool', word: args[0] }];
+    case 'node':
+        return [{ kind: 'node', word: args[0] }];
+    case 'virtual':
+        return args[0] && args[0].text !== 'name' ? [{ kind: 'virtual', word: args[0] }] : [];
+    case 'HSL::open':
+        return ['pool', 'publisher'].map((kind) => optionRef(args, `-${kind}`, kind)).filter((ref) => ref);
+    case 'LB::reselect':
+    case 'LB::status': {
+        const ref = optionRef(args, 'pool', 'pool');
+        return ref ? [ref] : [];
+    }
+    case 'SSL::profile':
+        return [{ kind: 'profile', word: args[0] }];
+    case 'ifile':
+        return args[0] && args[0].text !== 'listall' ? [{ kind: 'ifile', word: args[1] }] : [];
+    case 'RESOLV::lookup': {
+        // DNS resolver virtual server: '@/Common/dns_vs'
+        const word = args.find((x) => x.text.startsWith('@'));
+        return word ? [{ kind: 'virtual', word: { text: word.text.slice(1), start: word.start + 1, end: word.end } }] : [];
+    }
+    case 'class': {
+        const position = args[0] ? CLASS_ARG[args[0].text] : undefined;
+        if (position === undefined) return [];
+        return [{ kind: 'class', word: skipOptions(args.slice(1))[position] }];
+    }
+    default:
+        return [];
+    }
+};
+
+const collectRefs = (str, offset, refs) => {
+    parseCommands(str).forEach((words) => {
+        const commandWords = commandRefs(words).map(({ kind, word }) => {
+            const name = staticName(word);
+            if (name) {
+                refs.push({
+                    kind, name, start: word.start + offset, end: word.end + offset
+                });
+            }
+            return word && word.end;
+        });
+
+        // full paths in arguments of other commands (e.g. 'persist', 'LB::select')
+        words.slice(1).forEach((word) => {
+            const name = staticName(word);
+            if (!name || !isFullPath(name) || commandWords.includes(word.end)) return;
+            refs.push({
+                kind: 'path', name, start: word.start + offset, end: word.end + offset
+            });
+        });
+
+        // nested scripts: braced bodies and command substitutions
+        words.forEach((word) => {
+            if (word.text.startsWith('{')) {
+                collectRefs(word.text.slice(1, -1), offset + word.start + 1, refs);
+                return;
+            }
+            for (let i = 0; i < word.text.length; i += 1) {
+                if (word.text[i] === '\\') {
+                    i += 1;
+                } else if (word.text[i] === '[') {
+                    const end = matchClose(word.text, i);
+                    collectRefs(word.text.slice(i + 1, end - 1), offset + word.start + i + 1, refs);
+                    i = end - 1;
+                }
+            }
+        });
+    });
+};
+
+/* REWRITE OBJECT REFERENCES OF TCL COMMANDS IN IRULE
+ * 'pool', 'snatpool', 'node', 'virtual', 'active_members', 'active_nodes', 'members', 'LB::reselect pool',
+ * 'LB::status pool', 'HSL::open -pool/-publisher', 'SSL::profile', 'ifile', 'RESOLV::lookup @<virtual>'
+ * and data-groups of 'class' commands, full paths in arguments of other commands are passed as 'path',
+ * also inside event bodies, conditions and command substitutions (e.g. 'HTTP::respond ... [class lookup ...]')
+ * resolve({ kind, name }) returns new name or undefined to keep the reference as is,
+ * references given by variables or commands are not passed to resolve
+ */
+module.exports = (irule, resolve) => {
+    const refs = [];
+    collectRefs(irule, 0, refs);
+
+    // resolve in order of appearance, replace from the end to keep positions valid
+    const replacements = refs.sort((a, b) => a.start - b.start)
+        .map((ref) => ({ ...ref, newName: resolve({ kind: ref.kind, name: ref.name }) }))
+        .filter(({ name, newName }) => newName !== undefined && newName !== name);
+
+    let result = irule;
+    replacements.reverse().forEach(({ newName, start, end }) => {
+        const quoted = result[start] === '"';
+        result = `${result.slice(0, start)}${quoted ? `"${newName}"` : newName}${result.slice(end)}`;
+    });
+    return result;
+};
@@ -0,0 +1,34 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// tmsh wildcard address names
+const wildcards = {
+    any: '0.0.0.0',
+    any6: '::'
+};
+
+// split route domain suffix off the address, mask is kept:
+// '10.1.1.10%2/24' -> { address: '10.1.1.10/24', routeDomain: 2 }, 'any6%2' -> { address: '::', routeDomain: 2 }
+module.exports = (str) => {
+    const match = /^([^%/]*)(?:%(\d+))?(\/\d+)?$/.exec(str);
+    if (!match) return { address: str };
+
+    const address = (wildcards[match[1]] || match[1]) + (match[3] || '');
+    if (match[2] === undefined) return { address };
+    return { address, routeDomain: parseInt(match[2], 10) };
+};
@@ -0,0 +1,26 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// format parsed stanza origin as 'file:line' or 'file:start-end'
+// source: { file, startLine, endLine } as recorded by parser.js (REST objects have file only)
+module.exports = (source) => {
+    if (!source) return '';
+    if (!source.startLine) return source.file;
+    if (source.startLine === source.endLine) return `${source.file}:${source.startLine}`;
+    return `${source.file}:${source.startLine}-${source.endLine}`;
+};
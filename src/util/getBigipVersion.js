@@ -16,11 +16,15 @@
 
 'use strict';
 
+const MARKER = 'TMSH-VERSION: ';
+
 // find BIG-IP Version
+// search file by file, the input is never serialized as a whole
 module.exports = (data) => {
-    const dataStr = JSON.stringify(data);
-    if (dataStr.includes('TMSH-VERSION')) {
-        return dataStr.split('TMSH-VERSION: ')[1].split('\\n')[0];
-    }
-    return '';
+    const fileStr = Object.values(data).find((value) => typeof value === 'string' && value.includes(MARKER));
+    if (!fileStr) return '';
+
+    const start = fileStr.indexOf(MARKER) + MARKER.length;
+    const end = fileStr.indexOf('\n', start);
+    return fileStr.slice(start, end === -1 ? undefined : end).replace(/\r$/, '');
 };
@@ -18,37 +18,59 @@
 
 const as3PropertiesCustom = require('../lib/AS3/as3PropertiesCustom.json');
 const as3Properties = require('../../autotoolDeps/AS3/src/lib/properties.json');
+const versionRules = require('../lib/versionRules');
 
-module.exports = () => {
-    Object.keys(as3PropertiesCustom).forEach((property) => {
-        if (property in as3Properties) {
+// merge custom properties into target (mutates target, custom entries are copied)
+const mergeProperties = (target, custom) => {
+    Object.keys(custom).forEach((property) => {
+        if (property in target) {
             const ids = {};
 
             // Collect indexes for property ids
-            for (let i = 0; i < as3Properties[property].length; i += 1) {
-                ids[as3Properties[property][i].id] = i;
+            for (let i = 0; i < target[property].length; i += 1) {
+                ids[target[property][i].id] = i;
             }
 
-            for (let i = 0; i < as3PropertiesCustom[property].length; i += 1) {
-                const customProperty = as3PropertiesCustom[property][i];
+            for (let i = 0; i < custom[property].length; i += 1) {
+                const customProperty = custom[property][i];
                 const customPropertyId = customProperty.id;
 
                 // id present both in as3Properties and as3PropertiesCustom, merging
                 if (customPropertyId in ids) {
                     const propertyIndex = ids[customPropertyId];
-                    as3Properties[property][propertyIndex] = Object.assign(
-                        as3Properties[property][propertyIndex],
+                    target[property][propertyIndex] = Object.assign(
+                        {},
+                        target[property][propertyIndex],
                         customProperty
                     );
 
                 // Add new id
                 } else {
-                    as3Properties[property].push(as3PropertiesCustom[property][i]);
+                    target[property].push(Object.assign({}, customProperty));
                 }
             }
         } else {
-            as3Properties[property] = as3PropertiesCustom[property];
+            target[property] = custom[property].map((x) => Object.assign({}, x));
         }
     });
-    return as3Properties;
+    return target;
+};
+
+// merged properties of every rule set, shared as3Properties json is never changed
+const cache = new WeakMap();
+
+module.exports = (ruleSet = versionRules.active()) => {
+    if (cache.has(ruleSet)) return cache.get(ruleSet);
+
+    const merged = {};
+    Object.keys(as3Properties).forEach((property) => {
+        merged[property] = as3Properties[property].slice(0);
+    });
+    mergeProperties(merged, as3PropertiesCustom);
+
+    // version specific properties go on top
+    versionRules.properties(ruleSet).forEach((overlay) => mergeProperties(merged, overlay));
+
+    cache.set(ruleSet, merged);
+    return merged;
 };
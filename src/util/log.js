@@ -31,6 +31,17 @@ stream._write = (chunk, encoding, next) => {
     next();
 };
 
+const createConsole = (options) => new winston.transports.Console(Object.assign({
+    format: winston.format.printf(
+        (msg) => `${msg.timestamp} ${colorizer.colorize(
+            msg.level,
+            msg.level.toUpperCase()
+        )} ${msg.message}`
+    )
+}, options));
+
+let consoleTransport = createConsole();
+
 const logger = winston.createLogger({
     format: winston.format.combine(
         winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
@@ -39,14 +50,7 @@ const logger = winston.createLogger({
     level,
     json: false,
     transports: [
-        new winston.transports.Console({
-            format: winston.format.printf(
-                (msg) => `${msg.timestamp} ${colorizer.colorize(
-                    msg.level,
-                    msg.level.toUpperCase()
-                )} ${msg.message}`
-            )
-        }),
+        consoleTransport,
         new winston.transports.Stream({ stream })
     ]
 });
@@ -61,6 +65,13 @@ logger.configure = (filename) => {
     }
 };
 
+// pipe mode: keep stdout for the declaration only, console logs of all levels go to stderr
+logger.useStderr = () => {
+    logger.remove(consoleTransport);
+    consoleTransport = createConsole({ stderrLevels: Object.keys(logger.levels) });
+    logger.add(consoleTransport);
+};
+
 logger.memory = () => {
     const arr = output.trim().split('\n');
     output = '';
@@ -0,0 +1,128 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// count functional (not quoted or escaped) brackets: +1 for '{', -1 for '}'
+const countBrackets = (line) => {
+    const updatedline = line.trim().replace(/\\"/g, '').replace(/".+"/g, '');
+    let count = 0;
+    let previousChar = '';
+    for (let i = 0; i < updatedline.length; i += 1) {
+        const char = updatedline[i];
+        if (previousChar !== '\\') {
+            if (char === '{') count += 1;
+            if (char === '}') count -= 1;
+        }
+        previousChar = char;
+    }
+    return count;
+};
+
+// don't count brackets in commented or special lines inside iRules
+const isSpecialRuleLine = (line) => {
+    const trimmed = line.trim();
+    return trimmed.startsWith('#') || trimmed.startsWith('set') || trimmed.startsWith('STREAM');
+};
+
+// tmsh modules, a non-indented '<module> ... {' line always opens a new root-level object
+const MODULES = ['afm', 'analytics', 'apm', 'asm', 'auth', 'cli', 'cm', 'gtm', 'ilx', 'ltm', 'net', 'pem',
+    'security', 'sys', 'vcmp', 'wom'];
+
+// bodies of these objects are TCL and can have non-indented lines
+const isScript = (line) => / (i?rule|script|template) /.test(line);
+
+const isRootStart = (line) => line.trim().endsWith('{') && MODULES.includes(line.split(' ')[0]);
+
+/* GROUPS ROOT-LEVEL CONFIG OBJECTS LINE BY LINE
+ * only the lines of the current object are kept in memory,
+ * onStanza(lines, lineNumbers) is called as soon as the object is closed
+ *
+ * recovery mode (onError is provided): object that is not closed before the next root-level object
+ * is passed to onError(lines, lineNumbers, message) and tokenizing resumes at the next object
+ */
+module.exports = (onStanza, onError) => {
+    let stanza = null;
+    let lineNumbers = [];
+    let bracketCount = 0;
+    let ruleFlag = false;
+
+    const emit = () => {
+        const current = stanza;
+        const currentNumbers = lineNumbers;
+        stanza = null;
+        lineNumbers = [];
+        onStanza(current, currentNumbers);
+    };
+
+    const pushRoot = (line, lineNumber) => {
+        // empty obj / pseudo-array
+        if (line.includes('{') && line.includes('}') && line[0] !== ' ') {
+            onStanza([line], [lineNumber]);
+
+        // looking for non-indented '{'
+        } else if (line.trim().endsWith('{') && !line.startsWith(' ')) {
+            stanza = [line];
+            lineNumbers = [lineNumber];
+            bracketCount = 1;
+            // different grouping logic for iRules
+            ruleFlag = line.includes('ltm rule') || line.includes('gtm rule');
+        }
+    };
+
+    return {
+        push: (line, lineNumber) => {
+            if (!stanza) {
+                pushRoot(line, lineNumber);
+                return;
+            }
+
+            // abort if run into next rule
+            if (line.includes('ltm rule') && !(ruleFlag && isSpecialRuleLine(line))) {
+                emit();
+                pushRoot(line, lineNumber);
+                return;
+            }
+
+            // resynchronize at the next root-level object
+            if (onError && isRootStart(line) && !isScript(stanza[0])) {
+                const current = stanza;
+                const currentNumbers = lineNumbers;
+                stanza = null;
+                lineNumbers = [];
+                onError(current, currentNumbers, `Missing closing '}' for object: '${current[0]}'`);
+                pushRoot(line, lineNumber);
+                return;
+            }
+
+            stanza.push(line);
+            lineNumbers.push(lineNumber);
+            if (ruleFlag && isSpecialRuleLine(line)) return;
+
+            bracketCount += countBrackets(line);
+            if (bracketCount === 0) emit();
+        },
+
+        end: () => {
+            if (!stanza) return;
+            const message = `Missing closing '}' for object: '${stanza[0]}'`;
+            if (!onError) throw new Error(message);
+            onError(stanza, lineNumbers, message);
+            stanza = null;
+            lineNumbers = [];
+        }
+    };
+};
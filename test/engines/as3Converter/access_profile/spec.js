@@ -0,0 +1,82 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const compareDeclaration = require('../compareDeclaration');
+const apmPolicies = require('../../../../src/lib/apmPolicies');
+const as3Converter = require('../../../../src/engines/as3Converter');
+const parse = require('../../../../src/engines/parser');
+const readFiles = require('../../../../src/preConverter/readFiles');
+const readPolicyDir = require('../../../../src/preConverter/readPolicyDir');
+const validator = require('../../validators/as3Adapter');
+
+const ex1 = require('./access_profile.json');
+
+let json;
+
+describe('Access_Profile: apm profile access, Per_Request_Access_Policy: apm policy access-policy', () => {
+    afterEach(() => apmPolicies.load({}));
+
+    it('ex1', async () => {
+        apmPolicies.load(await readPolicyDir('./test/engines/as3Converter/access_profile/policies', ['.tar.gz', '.tgz']));
+        const data = await readFiles(['./test/engines/as3Converter/access_profile/access_profile.conf']);
+        const parsed = parse(data);
+        const converted = as3Converter(parsed);
+        json = converted.declaration;
+
+        compareDeclaration(ex1.AS3_Tenant.AS3_Application, json.AS3_Tenant.AS3_Application);
+        assert.deepStrictEqual(converted.apmPolicies, {
+            'apm policy access-policy /AS3_Tenant/AS3_Application/prp_web': {
+                status: 'url',
+                file: 'test/engines/as3Converter/access_profile/policies/prp_web.tgz',
+                url: 'file:///var/config/rest/downloads/prp_web.tgz',
+                upload: '/var/config/rest/downloads/prp_web.tgz'
+            },
+            'apm profile access /AS3_Tenant/AS3_Application/ap_web': {
+                status: 'url',
+                file: 'test/engines/as3Converter/access_profile/policies/ap_web.tar.gz',
+                url: 'file:///var/config/rest/downloads/ap_web.tar.gz',
+                upload: '/var/config/rest/downloads/ap_web.tar.gz'
+            },
+            'apm profile access /AS3_Tenant/AS3_Application/ap_other': {
+                status: 'bigip',
+                reason: 'exported policy tarball is not found in --apm-policy-dir'
+            }
+        });
+    });
+
+    it('ex1 validation', () => validator(json)
+        .then((data) => assert(data.isValid, JSON.stringify(data, null, 4))));
+
+    // no exported policies, existing BIG-IP policies are referenced
+    it('ex2', async () => {
+        const data = await readFiles(['./test/engines/as3Converter/access_profile/access_profile.conf']);
+        const parsed = parse(data);
+        json = as3Converter(parsed).declaration;
+        const app = json.AS3_Tenant.AS3_Application;
+
+        assert.strictEqual(app.ap_web, undefined);
+        assert.strictEqual(app.prp_web, undefined);
+        assert.deepStrictEqual(app.vs_apm.policyIAM, { bigip: '/AS3_Tenant/AS3_Application/ap_web' });
+        assert.deepStrictEqual(app.vs_apm.policyPerRequestAccess, { bigip: '/AS3_Tenant/AS3_Application/prp_web' });
+    });
+
+    it('ex2 validation', () => validator(json)
+        .then((data) => assert(data.isValid, JSON.stringify(data, null, 4))));
+});
@@ -55,6 +55,7 @@ describe('Convert to AS3 declaration (as3Converter.js)', () => {
     require('./ftp_profile/spec');
     require('./gslb_data_center/spec');
     require('./gslb_domain/spec');
+    require('./gslb_irule/spec');
     require('./gslb_monitor/spec');
     require('./gslb_pool/spec');
     require('./gslb_prober_pool/spec');
@@ -104,6 +105,7 @@ describe('Convert to AS3 declaration (as3Converter.js)', () => {
     require('./protocol_inspection_profile/spec');
     require('./radius_profile/spec');
     require('./rewrite_profile/spec');
+    require('./route_domain/spec');
     require('./security_log_profile/spec');
     require('./service_address/spec');
     require('./service_forwarding/spec');
@@ -111,6 +113,7 @@ describe('Convert to AS3 declaration (as3Converter.js)', () => {
     require('./service_http/spec');
     require('./service_https/spec');
     require('./service_l4/spec');
+    require('./service_sctp/spec');
     require('./service_tcp/spec');
     require('./service_udp/spec');
     require('./sip_profile/spec');
@@ -122,4 +125,5 @@ describe('Convert to AS3 declaration (as3Converter.js)', () => {
     require('./tls_server/spec');
     require('./traffic_log_profile/spec');
     require('./udp_profile/spec');
+    require('./waf_policy/spec');
 });
@@ -37,7 +37,7 @@ describe('CA_Chain: file sys ssl-cert', () => {
         data[bundle] = caBundle;
 
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex1.AS3_Tenant.AS3_Application;
         const convertedDec = json.AS3_Tenant.AS3_Application;
@@ -47,7 +47,7 @@ describe('Certificate: file sys ssl-cert', () => {
         data[theCertKey] = key;
 
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex1.AS3_Tenant.AS3_Application.theCert;
         originalDec.privateKey = process.env.TEST_KEY;
@@ -69,7 +69,7 @@ describe('Certificate: file sys ssl-cert', () => {
         data[theCert] = cert;
 
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex2.AS3_Tenant.AS3_Application.testItem;
         const convertedDec = json.AS3_Tenant.AS3_Application.testItem;
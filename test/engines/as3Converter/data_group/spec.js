@@ -30,6 +30,7 @@ const ex3 = require('./data_group3.json');
 const ex4 = require('./data_group4.json');
 const ex5 = require('./data_group5.json');
 const ex6 = require('./data_group6.json');
+const ex7 = require('./data_group7.json');
 
 let json;
 
@@ -37,7 +38,7 @@ describe('Data_Group: ltm data-group internal', () => {
     it('ex1', async () => {
         const data = await readFiles(['./test/engines/as3Converter/data_group/data_group.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex1.AS3_Tenant.AS3_Application;
         const convertedDec = json.AS3_Tenant.AS3_Application;
@@ -50,7 +51,7 @@ describe('Data_Group: ltm data-group internal', () => {
     it('ex2', async () => {
         const data = await readFiles(['./test/engines/as3Converter/data_group/data_group2.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex2.AS3_Tenant.AS3_Application;
         const convertedDec = json.AS3_Tenant.AS3_Application;
@@ -64,7 +65,7 @@ describe('Data_Group: ltm data-group internal', () => {
     it('ex3', async () => {
         const data = await readFiles(['./test/engines/as3Converter/data_group/data_group3.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex3.AS3_Tenant.AS3_Application;
         const convertedDec = json.AS3_Tenant.AS3_Application;
@@ -78,7 +79,7 @@ describe('Data_Group: ltm data-group internal', () => {
     it('ex4', async () => {
         const data = await readFiles(['./test/engines/as3Converter/data_group/data_group4.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex4.AS3_Tenant.AS3_Application;
         const convertedDec = json.AS3_Tenant.AS3_Application;
@@ -92,7 +93,7 @@ describe('Data_Group: ltm data-group internal', () => {
     it('ex5', async () => {
         const data = await readFiles(['./test/engines/as3Converter/data_group/data_group5.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex5.Common.Shared;
         const convertedDec = json.Common.Shared;
@@ -107,7 +108,7 @@ describe('Data_Group: ltm data-group external', () => {
     it('ex6', async () => {
         const data = await readFiles(['./test/engines/as3Converter/data_group/data_group6.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex6;
         const convertedDec = json;
@@ -116,4 +117,39 @@ describe('Data_Group: ltm data-group external', () => {
 
     it('ex6 validation', () => validator(json)
         .then((data) => assert(data.isValid, JSON.stringify(data, null, 4))));
+
+    // records from extracted filestore
+    it('ex7', async () => {
+        const filestore = 'var/tmp/filestore_temp/files_d/AS3_Tenant_d/data_group_d/:AS3_Tenant:AS3_Application:';
+        const data = await readFiles(['./test/engines/as3Converter/data_group/data_group7.conf']);
+        data[`${filestore}dgStringFile_12346_1`] = '"alpha" := "1",\n"be\\"ta" := "two := 2",\n"gamma",\n';
+        data[`${filestore}dgIntegerFile_12347_1`] = '80 : "http",\n443 : "https",\n';
+        data[`${filestore}dgAddressFile_12348_1`] = 'host 10.0.0.1 := "server",\nnetwork 10.0.0.0 mask 255.0.0.0,\n'
+            + 'network 2001:db8:: prefixlen 32 := "v6",\n';
+        data[`${filestore}dgLargeFile_12349_1`] = '"key" := "value",\n'.repeat(40000);
+        data[`${filestore}dgLargeUrlFile_12350_1`] = data[`${filestore}dgLargeFile_12349_1`];
+        const parsed = parse(data);
+        const converted = as3Converter(parsed, { files: data });
+        json = converted.declaration;
+
+        const originalDec = ex7;
+        const convertedDec = json;
+        compareDeclaration(originalDec, convertedDec);
+        assert.deepStrictEqual(converted.externalDataGroups, {
+            'ltm data-group external /AS3_Tenant/AS3_Application/dgString': { conversion: 'records', records: 3 },
+            'ltm data-group external /AS3_Tenant/AS3_Application/dgInteger': { conversion: 'records', records: 2 },
+            'ltm data-group external /AS3_Tenant/AS3_Application/dgAddress': { conversion: 'records', records: 3 },
+            'ltm data-group external /AS3_Tenant/AS3_Application/dgLarge': {
+                conversion: 'dataGroupFile',
+                reason: 'file /AS3_Tenant/AS3_Application/dgLargeFile exceeds 524288 bytes'
+            },
+            'ltm data-group external /AS3_Tenant/AS3_Application/dgLargeUrl': {
+                conversion: 'dataGroupFile',
+                reason: 'file /AS3_Tenant/AS3_Application/dgLargeUrlFile exceeds 524288 bytes'
+            }
+        });
+    });
+
+    it('ex7 validation', () => validator(json)
+        .then((data) => assert(data.isValid, JSON.stringify(data, null, 4))));
 });
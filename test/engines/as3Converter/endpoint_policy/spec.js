@@ -32,6 +32,7 @@ const ex5 = require('./endpoint_policy5.json');
 const ex6 = require('./endpoint_policy6.json');
 const ex7 = require('./endpoint_policy7.json');
 const ex8 = require('./endpoint_policy8.json');
+const ex9 = require('./endpoint_policy9.json');
 
 let json;
 
@@ -139,4 +140,26 @@ describe('Endpoint_Policy: ltm policy', () => {
 
     it('ex8 validation', () => validator(json)
         .then((data) => assert(data.isValid, JSON.stringify(data, null, 4))));
+
+    it('ex9: (tcp, http-host, http-method, datagroup, persist, tcl, log, asm)', async () => {
+        const data = await readFiles(['./test/engines/as3Converter/endpoint_policy/endpoint_policy9.conf']);
+        const parsed = parse(data);
+        const converted = as3Converter(parsed);
+        json = converted.declaration;
+
+        const originalDec = ex9.AS3_Tenant.AS3_Application;
+        const convertedDec = json.AS3_Tenant.AS3_Application;
+        compareDeclaration(originalDec, convertedDec);
+
+        assert.deepStrictEqual(converted.unsupportedPolicyRules, {
+            '/AS3_Tenant/AS3_Application/testItem': {
+                client_ssl: 'action client-ssl has no AS3 equivalent',
+                geo: 'condition geoip has no AS3 equivalent',
+                tcl_match: 'condition tcl has no AS3 equivalent'
+            }
+        });
+    });
+
+    it('ex9 validation', () => validator(json)
+        .then((data) => assert(data.isValid, JSON.stringify(data, null, 4))));
 });
@@ -23,12 +23,14 @@ const as3Converter = require('../../../../src/engines/as3Converter');
 const parse = require('../../../../src/engines/parser');
 const readFiles = require('../../../../src/preConverter/readFiles');
 const validator = require('../../validators/as3Adapter');
+const versionRules = require('../../../../src/lib/versionRules');
 
 const ex1 = require('./gslb_domain.json');
 const ex2 = require('./gslb_domain2.json');
 const ex3 = require('./gslb_domain3.json');
 const ex4 = require('./gslb_domain4.json');
 const ex5 = require('./gslb_domain5.json');
+const ex6 = require('./gslb_domain6.json');
 
 let json;
 
@@ -101,4 +103,18 @@ describe('GSLB_Domain: gtm wideip', () => {
 
     it('ex5 validation', () => validator(json)
         .then((data) => assert(data.isValid, JSON.stringify(data, null, 4))));
+
+    // wide IPs and pools without record type (before 12.0)
+    it('ex6', async () => {
+        const data = await readFiles(['./test/engines/as3Converter/gslb_domain/gslb_domain6.conf']);
+        const parsed = parse(data);
+        json = as3Converter(parsed, { versionRules: versionRules.select('11.6.1') }).declaration;
+
+        const originalDec = ex6.AS3_Tenant.AS3_Application;
+        const convertedDec = json.AS3_Tenant.AS3_Application;
+        compareDeclaration(originalDec, convertedDec);
+    });
+
+    it('ex6 validation', () => validator(json)
+        .then((data) => assert(data.isValid, JSON.stringify(data, null, 4))));
 });
@@ -0,0 +1,66 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const compareDeclaration = require('../compareDeclaration');
+const as3Converter = require('../../../../src/engines/as3Converter');
+const parse = require('../../../../src/engines/parser');
+const readFiles = require('../../../../src/preConverter/readFiles');
+const validator = require('../../validators/as3Adapter');
+
+const ex1 = require('./gslb_irule.json');
+
+let json;
+
+describe('GSLB_iRule: gtm rule', () => {
+    it('ex1', async () => {
+        const data = await readFiles(['./test/engines/as3Converter/gslb_irule/gslb_irule.conf']);
+        const parsed = parse(data);
+        json = as3Converter(parsed).declaration;
+
+        const originalDec = ex1.Common.Shared;
+        const convertedDec = json.Common.Shared;
+        compareDeclaration(originalDec, convertedDec);
+
+        // references to partition-level objects point to /Common/Shared
+        const irule = Buffer.from(convertedDec.geo_steer.iRule.base64, 'base64').toString();
+        assert(irule.includes('pool /Common/Shared/pool_eu'));
+        assert(irule.includes('equals /Common/Shared/dg_partners'));
+        assert(irule.includes('# steer European clients to EU data center'));
+    });
+
+    it('ex1 validation', () => validator(json)
+        .then((data) => assert(data.isValid, JSON.stringify(data, null, 4))));
+
+    it('ex2: relative and unresolved references', async () => {
+        const data = await readFiles(['./test/engines/as3Converter/gslb_irule/gslb_irule2.conf']);
+        const parsed = parse(data);
+        const converted = as3Converter(parsed);
+        json = converted.declaration;
+
+        const irule = Buffer.from(json.Common.Shared.relative_steer.iRule.base64, 'base64').toString();
+        assert(irule.includes('equals /Common/Shared/dg_partners'));
+        assert(irule.includes('pool /Common/Shared/pool_partners'));
+        assert(irule.includes('pool pool_missing'));
+        assert.deepStrictEqual(converted.unresolvedIruleRefs, { '/Common/relative_steer': ['pool pool_missing'] });
+    });
+
+    it('ex2 validation', () => validator(json)
+        .then((data) => assert(data.isValid, JSON.stringify(data, null, 4))));
+});
@@ -48,7 +48,7 @@ describe('GSLB_Monitor: gtm monitor', () => {
         data[theCertKey] = key;
 
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const o = ex1.AS3_Tenant;
         o.httpsMonitor.theCert.privateKey = process.env.TEST_KEY;
@@ -66,7 +66,7 @@ describe('GSLB_Monitor: gtm monitor', () => {
     it('ex2', async () => {
         const data = await readFiles(['./test/engines/as3Converter/gslb_monitor/gslb_monitor2.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex2.AS3_Tenant.AS3_Application;
         const convertedDec = json.AS3_Tenant.AS3_Application;
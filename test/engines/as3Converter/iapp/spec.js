@@ -29,6 +29,9 @@ const ex2 = require('./iapp2.json');
 const ex3 = require('./iapp3.json');
 const ex4 = require('./iapp4.json');
 const ex5 = require('./iapp5.json');
+const ex6 = require('./iapp6.json');
+const ex7 = require('./iapp7.json');
+const ex8 = require('./iapp8.json');
 
 let json;
 
@@ -36,15 +39,19 @@ describe('iApp: sys application service', () => {
     it('ex1', async () => {
         const data = await readFiles(['./test/engines/as3Converter/iapp/iapp.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        const converted = as3Converter(parsed);
+        json = converted.declaration;
 
         const originalDec = ex1.AS3_Tenant['AS3_Application.app'];
         const convertedDec = json.AS3_Tenant['AS3_Application.app'];
-        const encCred = Buffer.from('$M$Xo$XeopAaaaaaaBbbbbbbbbCccccccccDdddddddddEeeeeeeeFfffffff').toString('base64');
-        originalDec.test_gce_iapp_73.members[0].encodedCredentials = encCred;
-        originalDec.test_aws_iapp_25.members[0].secretAccessKey = encCred;
-        originalDec.test_azure_iapp_7447.members[0].apiAccessKey = encCred;
         compareDeclaration(originalDec, convertedDec);
+
+        // encrypted secrets can't be converted
+        assert.deepStrictEqual(converted.discoveryPlaceholders, {
+            '/AS3_Tenant/AS3_Application.app/test_gce_iapp_73_discovery': ['encodedCredentials'],
+            '/AS3_Tenant/AS3_Application.app/test_aws_iapp_25_discovery': ['secretAccessKey'],
+            '/AS3_Tenant/AS3_Application.app/test_azure_iapp_7447_discovery': ['apiAccessKey']
+        });
     });
 
     it('ex1 validation', () => validator(json)
@@ -105,4 +112,79 @@ describe('iApp: sys application service', () => {
 
     it('ex5 validation', () => validator(json)
         .then((data) => assert(data.isValid, JSON.stringify(data, null, 4))));
+
+    // f5.http and f5.tcp are rebuilt from variables and tables
+    it('ex6', async () => {
+        const data = await readFiles(['./test/engines/as3Converter/iapp/iapp6.conf']);
+        const parsed = parse(data);
+        const converted = as3Converter(parsed);
+        json = converted.declaration;
+
+        compareDeclaration(ex6.AS3_Tenant.web, json.AS3_Tenant.web);
+        compareDeclaration(ex6.Common.Shared, json.Common.Shared);
+        assert.strictEqual(json.AS3_Tenant['web.app'], undefined);
+        assert.deepStrictEqual(Object.keys(converted.iapps), ['/AS3_Tenant/web.app/web', '/Common/db.app/db']);
+        assert.strictEqual(converted.iapps['/AS3_Tenant/web.app/web'].template, 'f5.http');
+        assert.strictEqual(converted.iapps['/AS3_Tenant/web.app/web'].status, 'converted');
+        assert.strictEqual(converted.iapps['/Common/db.app/db'].application, '/Common/Shared');
+    });
+
+    it('ex6 validation', () => validator(json)
+        .then((data) => assert(data.isValid, JSON.stringify(data, null, 4))));
+
+    // f5.microsoft_exchange objects are moved out of '.app' folder, other templates are reported
+    it('ex7', async () => {
+        const data = await readFiles(['./test/engines/as3Converter/iapp/iapp7.conf']);
+        const parsed = parse(data);
+        const converted = as3Converter(parsed);
+        json = converted.declaration;
+
+        compareDeclaration(ex7.AS3_Tenant, json.AS3_Tenant);
+        assert.deepStrictEqual(converted.iapps, {
+            '/AS3_Tenant/exch.app/exch': {
+                template: 'f5.microsoft_exchange_2016',
+                status: 'converted',
+                application: '/AS3_Tenant/exch',
+                objects: [
+                    'ltm pool /AS3_Tenant/exch/exch_owa_pool',
+                    'ltm rule /AS3_Tenant/exch/exch_redirect_irule',
+                    'ltm virtual /AS3_Tenant/exch/exch_combined_https'
+                ]
+            },
+            '/AS3_Tenant/custom.app/custom': {
+                template: 'custom_template',
+                status: 'objectsOnly',
+                objects: ['ltm virtual /AS3_Tenant/custom.app/custom_vs']
+            },
+            '/AS3_Tenant/other.app/other': {
+                template: 'other_template',
+                status: 'notConverted',
+                objects: ['ltm pool /AS3_Tenant/other.app/other_pool']
+            }
+        });
+        assert.deepStrictEqual(converted.renames, {
+            'ltm pool /AS3_Tenant/exch.app/exch_owa_pool': ['/AS3_Tenant/exch/exch_owa_pool'],
+            'ltm rule /AS3_Tenant/exch.app/exch_redirect_irule': ['/AS3_Tenant/exch/exch_redirect_irule'],
+            'ltm virtual /AS3_Tenant/exch.app/exch_combined_https': ['/AS3_Tenant/exch/exch_combined_https']
+        });
+    });
+
+    it('ex7 validation', () => validator(json)
+        .then((data) => assert(data.isValid, JSON.stringify(data, null, 4))));
+
+    // Consul service discovery, missing tags get placeholders
+    it('ex8', async () => {
+        const data = await readFiles(['./test/engines/as3Converter/iapp/iapp8.conf']);
+        const parsed = parse(data);
+        const converted = as3Converter(parsed);
+        json = converted.declaration;
+
+        compareDeclaration(ex8.AS3_Tenant['discovery.app'], json.AS3_Tenant['discovery.app']);
+        assert.deepStrictEqual(converted.discoveryPlaceholders, {
+            '/AS3_Tenant/discovery.app/gce_sd_discovery': ['tagKey', 'tagValue']
+        });
+    });
+
+    it('ex8 validation', () => validator(json)
+        .then((data) => assert(data.isValid, JSON.stringify(data, null, 4))));
 });
@@ -27,6 +27,8 @@ const ex2 = require('./irule2.json');
 const ex3 = require('./irule3.json');
 const ex4 = require('./irule4.json');
 const ex5 = require('./irule5.json');
+const ex6 = require('./irule6.json');
+const ex7 = require('./irule7.json');
 
 let json;
 
@@ -47,7 +49,7 @@ describe('iRule: ltm rule', () => {
     it('ex1 validation', () => validator(json)
         .then((data) => assert(data.isValid, JSON.stringify(data, null, 4))));
 
-    // Check that references in irules '/Common/reference' has been converted to '/Common/Shared/reference'
+    // Check that references in irules '/Common/reference' have been converted to '/Common/Shared/reference'
     it('ex2', async () => {
         const data = await readFiles(['./test/engines/as3Converter/irule/irule2.conf']);
         const parsed = parse(data);
@@ -103,4 +105,49 @@ describe('iRule: ltm rule', () => {
 
     it('ex5 validation', () => validator(json)
         .then((data) => assert(data.isValid, JSON.stringify(data, null, 4))));
+
+    // Relative, renamed and unresolved references in iRule commands
+    it('ex6', async () => {
+        const data = await readFiles(['./test/engines/as3Converter/irule/irule6.conf']);
+        const parsed = parse(data);
+        const converted = as3Converter(parsed);
+        json = converted.declaration;
+
+        assert.deepStrictEqual(ex6.Common, json.Common);
+        assert.deepStrictEqual(ex6.AS3_Tenant, json.AS3_Tenant);
+        assert.deepStrictEqual(converted.unresolvedIruleRefs, {
+            '/AS3_Tenant/AS3_Application/refs_rule': ['class messages_dg', 'pool missing_pool']
+        });
+    });
+
+    it('ex6 validation', () => validator(json)
+        .then((data) => assert(data.isValid, JSON.stringify(data, null, 4))));
+
+    // Publishers, profiles, iFiles, resolver virtuals and full paths in arguments of other commands
+    it('ex7', async () => {
+        const data = await readFiles(['./test/engines/as3Converter/irule/irule7.conf']);
+        const parsed = parse(data);
+        const converted = as3Converter(parsed);
+        json = converted.declaration;
+
+        assert.deepStrictEqual(ex7.Common, json.Common);
+        assert.deepStrictEqual(ex7.AS3_Tenant, json.AS3_Tenant);
+
+        const irule = Buffer.from(json.AS3_Tenant.AS3_Application.more_refs_rule.iRule.base64, 'base64').toString();
+        assert(irule.includes('[HSL::open -publisher /Common/Shared/my_pub]'));
+        assert(irule.includes('set dg /Common/Shared/uri_dg'));
+        assert(irule.includes('[LB::status pool /Common/Shared/dns_pool]'));
+        assert(irule.includes('[ifile get /Common/sorry_page]'));
+        assert(irule.includes('HTTP::redirect "/Common/not_an_object"'));
+        assert.deepStrictEqual(converted.unresolvedIruleRefs, {
+            '/AS3_Tenant/AS3_Application/more_refs_rule': [
+                'profile missing_ssl',
+                'ifile /AS3_Tenant/tenant_page',
+                'virtual /Common/missing_dns_vs'
+            ]
+        });
+    });
+
+    it('ex7 validation', () => validator(json)
+        .then((data) => assert(data.isValid, JSON.stringify(data, null, 4))));
 });
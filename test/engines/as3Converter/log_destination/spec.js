@@ -26,6 +26,7 @@ const validator = require('../../validators/as3Adapter');
 
 const ex1 = require('./log_destination.json');
 const ex2 = require('./log_destination2.json');
+const ex3 = require('./log_destination3.json');
 
 let json;
 
@@ -55,4 +56,17 @@ describe('Log_Destination: sys log-config destination', () => {
 
     it('ex2 validation', () => validator(json)
         .then((data) => assert(data.isValid, JSON.stringify(data, null, 4))));
+
+    it('ex3: (management-port, splunk)', async () => {
+        const data = await readFiles(['./test/engines/as3Converter/log_destination/log_destination3.conf']);
+        const parsed = parse(data);
+        json = as3Converter(parsed).declaration;
+
+        const originalDec = ex3.AS3_Tenant.AS3_Application;
+        const convertedDec = json.AS3_Tenant.AS3_Application;
+        compareDeclaration(originalDec, convertedDec);
+    });
+
+    it('ex3 validation', () => validator(json)
+        .then((data) => assert(data.isValid, JSON.stringify(data, null, 4))));
 });
@@ -26,6 +26,7 @@ const validator = require('../../validators/as3Adapter');
 
 const ex1 = require('./log_publisher.json');
 const ex2 = require('./log_publisher2.json');
+const ex3 = require('./log_publisher3.json');
 
 let json;
 
@@ -55,4 +56,18 @@ describe('Log_Publisher: sys log-config publisher', () => {
 
     it('ex2 validation', () => validator(json)
         .then((data) => assert(data.isValid, JSON.stringify(data, null, 4))));
+
+    // destinations without AS3 class are referenced as existing BIG-IP destinations
+    it('ex3', async () => {
+        const data = await readFiles(['./test/engines/as3Converter/log_publisher/log_publisher3.conf']);
+        const parsed = parse(data);
+        json = as3Converter(parsed).declaration;
+
+        const originalDec = ex3.AS3_Tenant.AS3_Application;
+        const convertedDec = json.AS3_Tenant.AS3_Application;
+        compareDeclaration(originalDec, convertedDec);
+    });
+
+    it('ex3 validation', () => validator(json)
+        .then((data) => assert(data.isValid, JSON.stringify(data, null, 4))));
 });
@@ -0,0 +1,68 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const compareDeclaration = require('../../compareDeclaration');
+const as3Converter = require('../../../../../src/engines/as3Converter');
+const bigipRefs = require('../../../../../src/lib/bigipRefs');
+const parse = require('../../../../../src/engines/parser');
+const readFiles = require('../../../../../src/preConverter/readFiles');
+const validator = require('../../../validators/as3Adapter');
+
+const ex1 = require('./bigipRefs.json');
+
+let json;
+
+describe('--keep-bigip-refs: reference objects ACC cannot convert as existing BIG-IP objects', () => {
+    afterEach(() => bigipRefs.activate(false));
+
+    it('ex1', async () => {
+        bigipRefs.activate(true);
+        const data = await readFiles(['./test/engines/as3Converter/misc/bigipRefs/bigipRefs.conf']);
+        const parsed = parse(data);
+        json = as3Converter(parsed).declaration;
+
+        const originalDec = ex1.AS3_Tenant.AS3_Application;
+        const convertedDec = json.AS3_Tenant.AS3_Application;
+        compareDeclaration(originalDec, convertedDec);
+    });
+
+    it('ex1 validation', () => validator(json)
+        .then((data) => assert(data.isValid, JSON.stringify(data, null, 4))));
+
+    it('ex1 objects which must exist on target BIG-IP', () => {
+        assert.deepStrictEqual(bigipRefs.collect(json), {
+            '/Common/host_persist': ['/AS3_Tenant/AS3_Application/web_vs'],
+            '/Common/inband_mon': ['/AS3_Tenant/AS3_Application/web_pool'],
+            '/Common/ipi_policy': ['/AS3_Tenant/AS3_Application/web_vs'],
+            '/Common/ntlm_custom': ['/AS3_Tenant/AS3_Application/web_vs'],
+            '/Common/rtsp_custom': ['/AS3_Tenant/AS3_Application/rtsp_vs']
+        });
+    });
+
+    it('ex2: references are not kept by default', async () => {
+        const data = await readFiles(['./test/engines/as3Converter/misc/bigipRefs/bigipRefs.conf']);
+        const parsed = parse(data);
+        const app = as3Converter(parsed).declaration.AS3_Tenant.AS3_Application;
+
+        assert.deepStrictEqual(app.web_pool.monitors, [{ use: '/Common/Shared/inband_mon' }, { bigip: '/Common/http' }]);
+        assert.deepStrictEqual(app.web_vs.profileNTLM, { use: '/AS3_Tenant/AS3_Application/ntlm_custom' });
+        assert.strictEqual(app.rtsp_vs.profileRTSP, undefined);
+        assert.strictEqual(app.web_vs.ipIntelligencePolicy, undefined);
+    });
+});
@@ -0,0 +1,75 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const as3Converter = require('../../../../../src/engines/as3Converter');
+const parse = require('../../../../../src/engines/parser');
+const readFiles = require('../../../../../src/preConverter/readFiles');
+const renames = require('../../../../../src/lib/renames');
+const validator = require('../../../validators/as3Adapter');
+
+let converted;
+
+describe('Rename map: objects converted under other name', () => {
+    it('ex1', async () => {
+        const data = await readFiles(['./test/engines/as3Converter/misc/renames/renames.conf']);
+        const webCert = '/var/tmp/filestore_temp/files_d/AS3_Tenant_d/certificate_d/AS3_TenantAS3_Applicationweb-cert.crt_163525_1';
+        data[webCert] = fs.readFileSync('./test/engines/as3Converter/certificate/certificate.crt', 'utf-8');
+        const parsed = parse(data);
+        converted = as3Converter(parsed, { files: data });
+
+        assert.deepStrictEqual(converted.renames, {
+            'ltm pool /AS3_Tenant/AS3_Application/10.1.1.1': ['/AS3_Tenant/AS3_Application/pool_10.1.1.1'],
+            'ltm pool /AS3_Tenant/AS3_Application/app': ['/AS3_Tenant/AS3_Application/pool_app_dup'],
+            'ltm virtual /AS3_Tenant/AS3_Application/app': ['/AS3_Tenant/AS3_Application/virtual_app_dup'],
+            'ltm virtual /AS3_Tenant/AS3_Application/web_vs': [
+                '/AS3_Tenant/AS3_Application/web_vs_80',
+                '/AS3_Tenant/AS3_Application/web_vs_8080'
+            ],
+            'sys file ssl-cert /AS3_Tenant/AS3_Application/web-cert.crt': ['/AS3_Tenant/AS3_Application/web_cert']
+        });
+    });
+
+    it('ex1 every pointer exists in declaration', () => {
+        Object.values(converted.renames).flat().forEach((pointer) => {
+            const [tenant, app, name] = pointer.split('/').slice(1);
+            assert.ok(converted.declaration[tenant][app][name], pointer);
+        });
+    });
+
+    it('ex1 validation', () => validator(converted.declaration)
+        .then((data) => assert(data.isValid, JSON.stringify(data, null, 4))));
+
+    it('ex2: rename map is empty if nothing is renamed', async () => {
+        const data = await readFiles(['./test/engines/as3Converter/irule/irule2.conf']);
+        const parsed = parse(data);
+        assert.deepStrictEqual(as3Converter(parsed, { files: data }).renames, {});
+    });
+
+    it('ex3: original key of renamed object is found by reverse lookup', () => {
+        renames.reset();
+        for (let i = 0; i < 5000; i += 1) renames.add(`ltm pool /Common/10.1.${Math.floor(i / 256)}.${i % 256}`, `ltm pool /Common/pool_${i}`);
+        assert.strictEqual(renames.renamedFrom('ltm pool /Common/pool_4999'), 'ltm pool /Common/10.1.19.135');
+        assert.strictEqual(renames.renamedFrom('ltm pool /Common/web_pool'), undefined);
+
+        renames.addPointer('ltm pool /Common/pool_1', '/Common/Shared/pool_1');
+        assert.deepStrictEqual(renames.get(), { 'ltm pool /Common/10.1.0.1': ['/Common/Shared/pool_1'] });
+        renames.reset();
+    });
+});
@@ -25,6 +25,7 @@ const readFiles = require('../../../../src/preConverter/readFiles');
 const validator = require('../../validators/as3Adapter');
 
 const ex1 = require('./monitor_external.json');
+const ex2 = require('./monitor_external2.json');
 
 let json;
 
@@ -32,7 +33,7 @@ describe('Monitor External: ltm monitor external', () => {
     it('ex1', async () => {
         const data = await readFiles(['./test/engines/as3Converter/monitor_external/monitor_external.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex1.AS3_Tenant.AS3_Application;
         const convertedDec = json.AS3_Tenant.AS3_Application;
@@ -41,4 +42,22 @@ describe('Monitor External: ltm monitor external', () => {
 
     it('ex1 validation', () => validator(json)
         .then((data) => assert(data.isValid, JSON.stringify(data, null, 4))));
+
+    // ltm/gtm monitor script from extracted filestore, pathname is kept for missing script
+    it('ex2', async () => {
+        const data = await readFiles(['./test/engines/as3Converter/monitor_external/monitor_external2.conf']);
+        const script = '#!/bin/sh\nIP=`echo $1 | sed s/::ffff://`\n'
+            + 'curl -fsk -H "Host: $HOST_HEADER" https://$IP:$2/ && echo up\n';
+        data['var/tmp/filestore_temp/files_d/AS3_Tenant_d/external_monitor_d/:AS3_Tenant:AS3_Application:check.sh_12347_1'] = script;
+        const parsed = parse(data);
+        json = as3Converter(parsed, { files: data }).declaration;
+
+        const originalDec = ex2.AS3_Tenant.AS3_Application;
+        const convertedDec = json.AS3_Tenant.AS3_Application;
+        compareDeclaration(originalDec, convertedDec);
+        assert.strictEqual(Buffer.from(convertedDec.ltmScript.script.base64, 'base64').toString(), script);
+    });
+
+    it('ex2 validation', () => validator(json)
+        .then((data) => assert(data.isValid, JSON.stringify(data, null, 4))));
 });
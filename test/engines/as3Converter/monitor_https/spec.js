@@ -46,7 +46,7 @@ describe('Monitor HTTPS: ltm monitor https', () => {
         data[theKey] = key;
 
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex1.AS3_Tenant.AS3_Application;
         originalDec.https_monitor_certificate.privateKey = process.env.TEST_KEY;
@@ -70,7 +70,7 @@ describe('Monitor HTTPS: ltm monitor https', () => {
     it('ex2', async () => {
         const data = await readFiles(['./test/engines/as3Converter/monitor_https/monitor_https2.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex2.AS3_Tenant.AS3_Application;
         const convertedDec = json.AS3_Tenant.AS3_Application;
@@ -45,7 +45,7 @@ describe('Monitor SIP: ltm monitor sip', () => {
         data[theKey] = key;
 
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex1.AS3_Tenant.AS3_Application;
         originalDec.sip_monitor_certificate.privateKey = process.env.TEST_KEY;
@@ -35,6 +35,7 @@ const ex8 = require('./pool8.json');
 const ex9 = require('./pool9.json');
 const ex10 = require('./pool10.json');
 const ex11 = require('./pool11.json');
+const ex12 = require('./pool12.json');
 
 let json;
 
@@ -183,4 +184,34 @@ describe('Pool: ltm pool', () => {
 
     it('ex11 validation', () => validator(json)
         .then((data) => assert(data.isValid, JSON.stringify(data, null, 4))));
+
+    // node settings folded into pool members
+    it('ex12', async () => {
+        const data = await readFiles(['./test/engines/as3Converter/pool/pool12.conf']);
+        const parsed = parse(data);
+        const converted = as3Converter(parsed);
+        json = converted.declaration;
+
+        const originalDec = ex12.AS3_Tenant.AS3_Application;
+        const convertedDec = json.AS3_Tenant.AS3_Application;
+        compareDeclaration(originalDec, convertedDec);
+        assert.deepStrictEqual(converted.nodeConflicts, {
+            '/AS3_Tenant/AS3_Application/web_pool /AS3_Tenant/192.0.2.10:80': {
+                connectionLimit: { node: 100, member: 50, used: 50 },
+                ratio: { node: 3, member: 5, used: 5 }
+            },
+            '/AS3_Tenant/AS3_Application/web_pool /AS3_Tenant/192.0.2.11:80': {
+                remark: { node: 'node 11', member: 'member 11', used: 'member 11' },
+                adminState: { node: 'offline', member: 'disable', used: 'offline' },
+                monitors: {
+                    node: 'min 1 of { /Common/icmp /Common/gateway_icmp }',
+                    member: '/Common/http',
+                    used: '/Common/http'
+                }
+            }
+        });
+    });
+
+    it('ex12 validation', () => validator(json)
+        .then((data) => assert(data.isValid, JSON.stringify(data, null, 4))));
 });
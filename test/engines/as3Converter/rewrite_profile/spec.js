@@ -47,7 +47,7 @@ describe('Rewrite_Profile: ltm profile rewrite', () => {
         data[theKey] = key;
 
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex1.AS3_Tenant.AS3_Application.testItem;
         const convertedDec = json.AS3_Tenant.AS3_Application.testItem;
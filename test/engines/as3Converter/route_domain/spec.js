@@ -0,0 +1,48 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const compareDeclaration = require('../compareDeclaration');
+const as3Converter = require('../../../../src/engines/as3Converter');
+const parse = require('../../../../src/engines/parser');
+const readFiles = require('../../../../src/preConverter/readFiles');
+const validator = require('../../validators/as3Adapter');
+
+const ex1 = require('./route_domain.json');
+
+let json;
+
+describe('Route domains: IPv4, IPv6 and wildcard addresses with %ID', () => {
+    it('ex1', async () => {
+        const data = await readFiles(['./test/engines/as3Converter/route_domain/route_domain.conf']);
+        const parsed = parse(data);
+        const converted = as3Converter(parsed);
+        json = converted.declaration;
+
+        compareDeclaration(ex1.AS3_Tenant.AS3_Application, json.AS3_Tenant.AS3_Application);
+        compareDeclaration(ex1.AS3_Tenant.Shared, json.AS3_Tenant.Shared);
+        assert.deepStrictEqual(converted.unsupportedRouteDomains, {
+            'ltm virtual /AS3_Tenant/AS3_Application/service_tmc_unknown_rd':
+                'unknown route domain /Common/rd_missing of ltm traffic-matching-criteria /AS3_Tenant/unknown_rd_tmc'
+        });
+    });
+
+    it('ex1 validation', () => validator(json)
+        .then((data) => assert(data.isValid, JSON.stringify(data, null, 4))));
+});
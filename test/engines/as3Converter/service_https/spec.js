@@ -58,7 +58,7 @@ describe('Service HTTPS: ltm virtual', () => {
         data[webcertKey] = key;
 
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex1.AS3_Tenant.AS3_Application;
         originalDec.webcert.privateKey = process.env.TEST_KEY;
@@ -77,7 +77,7 @@ describe('Service HTTPS: ltm virtual', () => {
         data[webcertKey] = key;
 
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex2.AS3_Tenant.AS3_Application;
         originalDec.webcert.privateKey = process.env.TEST_KEY;
@@ -99,7 +99,7 @@ describe('Service HTTPS: ltm virtual', () => {
         data[webcertKey] = key;
 
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex3.AS3_Tenant.AS3_Application;
         originalDec.webcert.privateKey = process.env.TEST_KEY;
@@ -119,7 +119,7 @@ describe('Service HTTPS: ltm virtual', () => {
         data[webcertKey] = key;
 
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex4.AS3_Tenant.AS3_Application;
         originalDec.webcert.privateKey = process.env.TEST_KEY;
@@ -134,7 +134,7 @@ describe('Service HTTPS: ltm virtual', () => {
     it('ex5', async () => {
         const data = await readFiles(['./test/engines/as3Converter/service_https/service_https5.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex5.AS3_Tenant.AS3_Application;
         const convertedDec = json.AS3_Tenant.AS3_Application;
@@ -148,7 +148,7 @@ describe('Service HTTPS: ltm virtual', () => {
     it('ex6', async () => {
         const data = await readFiles(['./test/engines/as3Converter/service_https/service_https6.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex6.AS3_Tenant.AS3_Application;
         const convertedDec = json.AS3_Tenant.AS3_Application;
@@ -162,7 +162,7 @@ describe('Service HTTPS: ltm virtual', () => {
     it('ex7', async () => {
         const data = await readFiles(['./test/engines/as3Converter/service_https/service_https7.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex7.AS3_Tenant.AS3_Application;
         const convertedDec = json.AS3_Tenant.AS3_Application;
@@ -176,7 +176,7 @@ describe('Service HTTPS: ltm virtual', () => {
     it('ex8', async () => {
         const data = await readFiles(['./test/engines/as3Converter/service_https/service_https8.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex8.AS3_Tenant.AS3_Application;
         const convertedDec = json.AS3_Tenant.AS3_Application;
@@ -207,7 +207,7 @@ describe('Service HTTPS: ltm virtual', () => {
         data[webcert2Key] = key;
 
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex9.Common.Shared;
         originalDec.webcert1.privateKey = process.env.TEST_KEY;
@@ -223,7 +223,7 @@ describe('Service HTTPS: ltm virtual', () => {
     it('ex10', async () => {
         const data = await readFiles(['./test/engines/as3Converter/service_https/service_https10.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex10.AS3_Tenant.AS3_Application;
         const convertedDec = json.AS3_Tenant.AS3_Application;
@@ -237,7 +237,7 @@ describe('Service HTTPS: ltm virtual', () => {
     it('ex11', async () => {
         const data = await readFiles(['./test/engines/as3Converter/service_https/service_https11.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex11.AS3_Tenant.AS3_Application;
         const convertedDec = json.AS3_Tenant.AS3_Application;
@@ -250,7 +250,7 @@ describe('Service HTTPS: ltm virtual', () => {
     it('ex12', async () => {
         const data = await readFiles(['./test/engines/as3Converter/service_https/service_https12.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex12.AS3_Tenant.AS3_Application;
         const convertedDec = json.AS3_Tenant.AS3_Application;
@@ -263,7 +263,7 @@ describe('Service HTTPS: ltm virtual', () => {
     it('ex13', async () => {
         const data = await readFiles(['./test/engines/as3Converter/service_https/service_https13.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         let originalDec = ex13.AS3_Tenant.AS3_Application;
         let convertedDec = json.AS3_Tenant.AS3_Application;
@@ -280,7 +280,7 @@ describe('Service HTTPS: ltm virtual', () => {
     it('ex14', async () => {
         const data = await readFiles(['./test/engines/as3Converter/service_https/service_https14.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex14.AS3_Tenant.AS3_Application;
         const convertedDec = json.AS3_Tenant.AS3_Application;
@@ -294,7 +294,7 @@ describe('Service HTTPS: ltm virtual', () => {
     it('ex15', async () => {
         const data = await readFiles(['./test/engines/as3Converter/service_https/service_https15.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex15.AS3_Tenant.AS3_Application;
         const convertedDec = json.AS3_Tenant.AS3_Application;
@@ -53,7 +53,7 @@ describe('TLS_Client: ltm profile server-ssl', () => {
         data[theKey] = key;
 
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         // TLS_Client
         const originalTlsDec = ex1.AS3_Tenant.AS3_Application.theTlsClient;
@@ -78,7 +78,7 @@ describe('TLS_Client: ltm profile server-ssl', () => {
     it('ex2', async () => {
         const data = await readFiles(['./test/engines/as3Converter/tls_client/tls_client2.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex2.AS3_Tenant.AS3_Application;
         const convertedDec = json.AS3_Tenant.AS3_Application;
@@ -92,7 +92,7 @@ describe('TLS_Client: ltm profile server-ssl', () => {
     it('ex3', async () => {
         const data = await readFiles(['./test/engines/as3Converter/tls_client/tls_client3.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex3.AS3_Tenant.AS3_Application;
         const convertedDec = json.AS3_Tenant.AS3_Application;
@@ -106,7 +106,7 @@ describe('TLS_Client: ltm profile server-ssl', () => {
     it('ex4', async () => {
         const data = await readFiles(['./test/engines/as3Converter/tls_client/tls_client4.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex4.AS3_Tenant.AS3_Application;
         const convertedDec = json.AS3_Tenant.AS3_Application;
@@ -120,7 +120,7 @@ describe('TLS_Client: ltm profile server-ssl', () => {
     it('ex5', async () => {
         const data = await readFiles(['./test/engines/as3Converter/tls_client/tls_client5.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex5.Common.Shared;
         const convertedDec = json.Common.Shared;
@@ -133,7 +133,7 @@ describe('TLS_Client: ltm profile server-ssl', () => {
     it('ex6', async () => {
         const data = await readFiles(['./test/engines/as3Converter/tls_client/tls_client6.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex6.Common.Shared;
         const convertedDec = json.Common.Shared;
@@ -146,7 +146,7 @@ describe('TLS_Client: ltm profile server-ssl', () => {
     it('ex7', async () => {
         const data = await readFiles(['./test/engines/as3Converter/tls_client/tls_client7.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex7.AS3_Tenant.AS3_Application;
         const convertedDec = json.AS3_Tenant.AS3_Application;
@@ -159,7 +159,7 @@ describe('TLS_Client: ltm profile server-ssl', () => {
     it('ex8', async () => {
         const data = await readFiles(['./test/engines/as3Converter/tls_client/tls_client8.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex8.AS3_Tenant.AS3_Application;
         const convertedDec = json.AS3_Tenant.AS3_Application;
@@ -67,7 +67,7 @@ describe('TLS_Server: ltm profile client-ssl', () => {
         data[webcert2Key] = key;
 
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         // TLS_Server
         let originalTlsDec = ex1.AS3_Tenant.Application1.testItem1;
@@ -114,7 +114,7 @@ describe('TLS_Server: ltm profile client-ssl', () => {
         data[theKey] = key;
 
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalTlsDec = ex2.Common.Shared.f5demo_san;
         const convertedTlsDec = json.Common.Shared.f5demo_san;
@@ -134,7 +134,7 @@ describe('TLS_Server: ltm profile client-ssl', () => {
     it('ex3', async () => {
         const data = await readFiles(['./test/engines/as3Converter/tls_server/tls_server3.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex3.AS3_Tenant.AS3_Application;
         const convertedDec = json.AS3_Tenant.AS3_Application;
@@ -148,7 +148,7 @@ describe('TLS_Server: ltm profile client-ssl', () => {
     it('ex4', async () => {
         const data = await readFiles(['./test/engines/as3Converter/tls_server/tls_server4.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex4.AS3_Tenant.AS3_Application;
         const convertedDec = json.AS3_Tenant.AS3_Application;
@@ -162,7 +162,7 @@ describe('TLS_Server: ltm profile client-ssl', () => {
     it('ex5', async () => {
         const data = await readFiles(['./test/engines/as3Converter/tls_server/tls_server5.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex5.AS3_Tenant.AS3_Application;
         const convertedDec = json.AS3_Tenant.AS3_Application;
@@ -193,7 +193,7 @@ describe('TLS_Server: ltm profile client-ssl', () => {
         data[webcert2Bundle] = chain;
 
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
         const originalDec = ex6.Common.Shared;
         ex6.Common.Shared.webcert1.privateKey = process.env.TEST_KEY;
         ex6.Common.Shared.webcert2.privateKey = process.env.TEST_KEY;
@@ -208,7 +208,7 @@ describe('TLS_Server: ltm profile client-ssl', () => {
     it('ex7', async () => {
         const data = await readFiles(['./test/engines/as3Converter/tls_server/tls_server7.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex7.Common.Shared;
         const convertedDec = json.Common.Shared;
@@ -221,7 +221,7 @@ describe('TLS_Server: ltm profile client-ssl', () => {
     it('ex8', async () => {
         const data = await readFiles(['./test/engines/as3Converter/tls_server/tls_server8.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex8;
         const convertedDec = json;
@@ -234,7 +234,7 @@ describe('TLS_Server: ltm profile client-ssl', () => {
     it('ex9', async () => {
         const data = await readFiles(['./test/engines/as3Converter/tls_server/tls_server9.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex9;
         const convertedDec = json;
@@ -247,7 +247,7 @@ describe('TLS_Server: ltm profile client-ssl', () => {
     it('ex10', async () => {
         const data = await readFiles(['./test/engines/as3Converter/tls_server/tls_server10.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex10;
         const convertedDec = json;
@@ -261,7 +261,7 @@ describe('TLS_Server: ltm profile client-ssl', () => {
     it('ex11', async () => {
         const data = await readFiles(['./test/engines/as3Converter/tls_server/tls_server11.conf']);
         const parsed = parse(data);
-        json = as3Converter(parsed).declaration;
+        json = as3Converter(parsed, { files: data }).declaration;
 
         const originalDec = ex11;
         const convertedDec = json;
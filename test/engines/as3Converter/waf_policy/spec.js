@@ -0,0 +1,84 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const compareDeclaration = require('../compareDeclaration');
+const as3Converter = require('../../../../src/engines/as3Converter');
+const parse = require('../../../../src/engines/parser');
+const readFiles = require('../../../../src/preConverter/readFiles');
+const readPolicyDir = require('../../../../src/preConverter/readPolicyDir');
+const validator = require('../../validators/as3Adapter');
+const wafPolicies = require('../../../../src/lib/wafPolicies');
+
+const ex1 = require('./waf_policy.json');
+
+let json;
+
+describe('WAF_Policy: asm policy', () => {
+    afterEach(() => wafPolicies.load({}));
+
+    it('ex1', async () => {
+        wafPolicies.load(await readPolicyDir('./test/engines/as3Converter/waf_policy/policies', ['.xml', '.json']));
+        const data = await readFiles(['./test/engines/as3Converter/waf_policy/waf_policy.conf']);
+        const parsed = parse(data);
+        const converted = as3Converter(parsed);
+        json = converted.declaration;
+
+        compareDeclaration(ex1.AS3_Tenant.AS3_Application, json.AS3_Tenant.AS3_Application);
+        assert.deepStrictEqual(converted.wafPolicies, {
+            'asm policy /AS3_Tenant/AS3_Application/waf_pol': {
+                status: 'embedded',
+                file: 'test/engines/as3Converter/waf_policy/policies/waf_pol.xml'
+            },
+            'asm policy /AS3_Tenant/AS3_Application/waf_other': {
+                status: 'bigip',
+                reason: 'exported policy file is not found in --waf-policy-dir'
+            }
+        });
+    });
+
+    it('ex1 validation', () => validator(json)
+        .then((data) => assert(data.isValid, JSON.stringify(data, null, 4))));
+
+    // no exported policies, existing BIG-IP policies are referenced
+    it('ex2', async () => {
+        const data = await readFiles(['./test/engines/as3Converter/waf_policy/waf_policy.conf']);
+        const parsed = parse(data);
+        json = as3Converter(parsed).declaration;
+        const app = json.AS3_Tenant.AS3_Application;
+
+        assert.strictEqual(app.waf_pol, undefined);
+        assert.deepStrictEqual(app.vs_waf.policyWAF, { bigip: '/AS3_Tenant/AS3_Application/waf_pol' });
+        assert.deepStrictEqual(app.vs_other.policyWAF, { bigip: '/AS3_Tenant/AS3_Application/waf_other' });
+        assert.strictEqual(app.asm_auto_l7_policy__vs_waf, undefined);
+    });
+
+    it('ex2 validation', () => validator(json)
+        .then((data) => assert(data.isValid, JSON.stringify(data, null, 4))));
+
+    // relative names of virtual and ASM policy are in partition of listing object
+    it('ex3', async () => {
+        const data = await readFiles(['./test/engines/as3Converter/waf_policy/waf_policy2.conf']);
+        const parsed = parse(data);
+        json = as3Converter(parsed).declaration;
+
+        assert.deepStrictEqual(json.Tenant_A.Shared.vs_web.policyWAF, { bigip: '/Tenant_A/waf_pol' });
+        assert.deepStrictEqual(json.Tenant_B.Shared.vs_web.policyWAF, { bigip: '/Tenant_B/waf_b' });
+    });
+});
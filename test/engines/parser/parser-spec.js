@@ -37,9 +37,14 @@ const ex12 = require('./ex12.json');
 const ex13 = require('./ex13.json');
 const ex14 = require('./ex14.json');
 const ex15 = require('./ex15.json');
+const ex18 = require('./ex18.json');
 // no json counterparts for ex16.conf and ex17.conf because of a thrown exception or a warning
 
 describe('Parse the config (parse.js)', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
     it('should parse the bigip-object into json-object', async () => {
         const data = await readFiles(['./test/engines/parser/ex1.conf']);
         const json = parse(data);
@@ -147,6 +152,78 @@ describe('Parse the config (parse.js)', () => {
         const data = await readFiles(['./test/engines/parser/ex17.conf']);
         parse(data);
         sinon.assert.callCount(consoleLogSpy, 1);
-        sinon.assert.calledWith(consoleLogSpy, "UNRECOGNIZED LINE: 'auto-sync enabled'");
+        sinon.assert.calledWith(consoleLogSpy, "UNRECOGNIZED LINE: 'auto-sync enabled' (./test/engines/parser/ex17.conf:4)");
+    });
+
+    it('should record origin file and lines of every object', async () => {
+        const data = await readFiles(['./test/engines/parser/ex1.conf']);
+        const provenance = {};
+        const json = parse(data, provenance);
+        assert.deepStrictEqual(Object.keys(provenance), Object.keys(json));
+        Object.values(provenance).forEach((source) => {
+            assert.strictEqual(source.file, './test/engines/parser/ex1.conf');
+            assert(source.startLine <= source.endLine);
+        });
+    });
+
+    it('should not parse filestore files of any partition', () => {
+        const filestore = 'var/tmp/filestore_temp/files_d/Tenant_B_d';
+        const data = {
+            'config/bigip.conf': 'ltm pool /Tenant_B/app/web_pool { }\n',
+            [`${filestore}/external_monitor_d/:Tenant_B:app:check.pl_12347_1`]: 'sub check {\n    return 1;\n}\n',
+            [`${filestore}/data_group_d/:Tenant_B:app:dg_file_12346_1`]: '"/api" := "web",\n'
+        };
+        const parseErrors = [];
+        assert.deepStrictEqual(Object.keys(parse(data, {}, parseErrors)), ['ltm pool /Tenant_B/app/web_pool']);
+        assert.deepStrictEqual(parseErrors, []);
+    });
+
+    it('should record lines of gtm topology records', () => {
+        const data = {
+            'bigip_gtm.conf': [
+                'gtm topology ldns: subnet 10.0.0.0/8 server: pool /Common/pool1 {',
+                '    order 1',
+                '}',
+                'gtm topology ldns: subnet 11.0.0.0/8 server: pool /Common/pool2 {',
+                '    order 2',
+                '}'
+            ].join('\n')
+        };
+        const provenance = {};
+        parse(data, provenance);
+        assert.deepStrictEqual(provenance['gtm topology /Common/Shared/topology'], {
+            file: 'bigip_gtm.conf',
+            startLine: 1,
+            endLine: 6
+        });
+    });
+
+    describe('recovery mode', () => {
+        it('should skip malformed objects and resynchronize at the next object', async () => {
+            const warnSpy = sinon.spy(log, 'warn');
+            const data = await readFiles(['./test/engines/parser/ex18.conf']);
+            const parseErrors = [];
+            const json = parse(data, {}, parseErrors);
+
+            assert.deepStrictEqual(json, ex18);
+            const lines = parseErrors.map((err) => [err.startLine, err.endLine]);
+            assert.deepStrictEqual(lines, [[6, 12], [13, 18], [22, 23]]);
+            assert(parseErrors.every((err) => err.file === './test/engines/parser/ex18.conf'));
+            assert.strictEqual(parseErrors[0].message, "Missing or mis-indented '}' for line: '    devices {'");
+            assert(parseErrors[1].text.startsWith('ltm pool /Common/pool_unclosed {\n    members {'));
+            sinon.assert.callCount(warnSpy, 3);
+        });
+
+        it('should fail fast without parseErrors collector (strict mode)', async () => {
+            const data = await readFiles(['./test/engines/parser/ex18.conf']);
+            assert.throws(() => parse(data), /Missing or mis-indented '}'/);
+        });
+
+        it('should not report errors for valid config', async () => {
+            const data = await readFiles(['./test/engines/parser/ex5.conf']);
+            const parseErrors = [];
+            assert.deepStrictEqual(parse(data, {}, parseErrors), ex5);
+            assert.deepStrictEqual(parseErrors, []);
+        });
     });
 });
@@ -0,0 +1,79 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const parse = require('../../../src/engines/parser');
+const restParser = require('../../../src/engines/restParser');
+
+const ex1 = require('./ex1.json');
+const ex2 = require('./ex2.json');
+
+const readPayload = (name) => ({ [name]: fs.readFileSync(`./test/engines/restParser/${name}`, 'utf-8') });
+
+describe('Parse iControl REST payloads (restParser.js)', () => {
+    it('should convert ltm collections, subcollections and single objects', () => {
+        const json = restParser(readPayload('ltm.json'));
+        assert.deepStrictEqual(json, ex1);
+    });
+
+    it('should convert gtm and sys objects', () => {
+        const json = restParser(readPayload('gtm_sys.json'));
+        assert.deepStrictEqual(json, ex2);
+    });
+
+    it('should produce the same map as parser for equivalent tmsh config', () => {
+        const conf = parse({ 'main.conf': fs.readFileSync('./test/main/main.conf', 'utf-8') });
+        const rest = restParser(readPayload('ltm.json'));
+
+        const key = 'ltm virtual-address /AS3_Tenant/10.0.1.10';
+        assert.deepStrictEqual(rest[key], conf[key]);
+
+        const vsKey = 'ltm virtual /AS3_Tenant/AS3_Application/serviceMain';
+        ['destination', 'persist', 'pool', 'source', 'source-address-translation'].forEach((prop) => {
+            assert.deepStrictEqual(rest[vsKey][prop], conf[vsKey][prop]);
+        });
+    });
+
+    it('should record origin file of every object', () => {
+        const provenance = {};
+        const json = restParser(readPayload('ltm.json'), provenance);
+        assert.deepStrictEqual(Object.keys(provenance), Object.keys(json));
+        assert.deepStrictEqual(provenance['ltm pool /AS3_Tenant/AS3_Application/web_pool'], { file: 'ltm.json' });
+    });
+
+    it('should recognize REST payloads', () => {
+        assert.strictEqual(restParser.isRestPayload('{ "kind": "tm:ltm:pool:poolstate" }'), true);
+        assert.strictEqual(restParser.isRestPayload('\n[]'), true);
+        assert.strictEqual(restParser.isRestPayload('ltm pool /Common/pool { }'), false);
+        assert.strictEqual(restParser.isRestPayload(undefined), false);
+    });
+
+    it('should throw on malformed JSON', () => {
+        assert.throws(() => restParser({ 'bad.json': '{ "kind": ' }), /Error parsing REST input file/);
+    });
+
+    it('should skip and record malformed JSON in recovery mode', () => {
+        const parseErrors = [];
+        const json = restParser(Object.assign({ 'bad.json': '{ "kind": ' }, readPayload('ltm.json')), {}, parseErrors);
+        assert.deepStrictEqual(json, ex1);
+        assert.strictEqual(parseErrors.length, 1);
+        assert.strictEqual(parseErrors[0].file, 'bad.json');
+        assert.strictEqual(parseErrors[0].text, '{ "kind": ');
+    });
+});
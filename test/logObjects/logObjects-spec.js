@@ -85,4 +85,20 @@ describe('Test aggregate-logging function (logObjects.js)', () => {
         assert(firstMsg.includes('4 BIG-IP objects detected total'));
         assert(secondMsg.includes('1 DO stanzas generated'));
     });
+
+    it('Should write declaration to stdout when output is \'-\'', async () => {
+        const writeStub = sinon.stub(process.stdout, 'write');
+        const useStderrStub = sinon.stub(log, 'useStderr');
+        const conf = {
+            conf: './test/logObjects/logObjects.conf',
+            output: '-',
+            disableAnalytics: true
+        };
+        const result = await main(null, conf);
+        writeStub.restore();
+
+        assert(useStderrStub.calledOnce);
+        assert(writeStub.calledOnce);
+        assert.deepStrictEqual(JSON.parse(writeStub.firstCall.firstArg), result.declaration);
+    });
 });
@@ -19,6 +19,7 @@
 const assert = require('assert');
 const fs = require('fs');
 const { unlink } = require('fs').promises;
+const bigipRefs = require('../../src/lib/bigipRefs');
 const compareDeclaration = require('../engines/as3Converter/compareDeclaration');
 const { main, mainAPI } = require('../../src/main');
 
@@ -27,22 +28,268 @@ const ex = require('./main.json');
 describe('Test main function (main.js)', () => {
     afterEach(() => {
         unlink('output.json').catch();
+        // modes must not leak into other specs
+        bigipRefs.activate(false);
     });
 
-    it('Should not fail if bad or encrypted ucs provided', async () => {
+    it('Should fail if encrypted ucs provided without passphrase', () => {
         const config = {
             ucs: './test/main/encrypted.ucs',
             output: 'output.json',
             disableAnalytics: true
         };
-        assert.doesNotReject(await main(null, config));
-        assert(fs.existsSync('output.json'));
+        return assert.rejects(main(null, config), { message: 'UCS is encrypted, passphrase required' });
+    });
+
+    it('Should report secrets stripped from QKView as missing', async () => {
+        const config = {
+            qkview: './test/preConverter/basic.qkview',
+            output: 'output.json',
+            disableAnalytics: true
+        };
+        const result = await main(null, config);
+        const metadata = result.metadata;
+
+        assert.strictEqual(metadata.source, 'qkview');
+        assert.deepStrictEqual(metadata.missingSecrets['/AS3_Tenant/AS3_Application/qkview_monitor'], ['passphrase']);
+        assert(metadata.missingSecrets['/AS3_Tenant/AS3_Application/webcert'].includes('privateKey'));
+        assert.strictEqual(result.declaration.Common.Shared.qkviewHttpProfile.class, 'HTTP_Profile');
+    });
+
+    it('Should merge UCS with conf overlays and directories', async () => {
+        const config = {
+            ucs: './test/basic_install.ucs',
+            conf: ['./test/preConverter/overlay.conf', './test/preConverter/confDir'],
+            output: 'output.json',
+            disableAnalytics: true
+        };
+        const result = await main(null, config);
+        const declaration = result.declaration;
+
+        assert.strictEqual(declaration.Common.Shared.overlay_pool.class, 'Pool');
+        assert.strictEqual(declaration.Common.Shared.dir_pool.class, 'Pool');
+        assert.strictEqual(declaration.AS3_Tenant.AS3_Application.partition_pool.class, 'Pool');
+    });
+
+    it('Should load certificates from filestore of non-Common partition', async () => {
+        const config = {
+            ucs: './test/preConverter/filestore.ucs',
+            output: 'output.json',
+            disableAnalytics: true
+        };
+        const result = await main(null, config);
+        const cert = fs.readFileSync('./test/engines/as3Converter/certificate/certificate2.crt', 'utf-8');
+
+        assert.strictEqual(result.declaration.Tenant_B.app.web.class, 'Certificate');
+        assert.strictEqual(result.declaration.Tenant_B.app.web.certificate, cert);
+    });
+
+    it('Should embed exported ASM policies from --waf-policy-dir', async () => {
+        const config = {
+            conf: ['./test/engines/as3Converter/waf_policy/waf_policy.conf'],
+            output: 'output.json',
+            disableAnalytics: true,
+            wafPolicyDir: './test/engines/as3Converter/waf_policy/policies'
+        };
+        const result = await main(null, config);
+        const app = result.declaration.AS3_Tenant.AS3_Application;
+
+        assert.strictEqual(app.waf_pol.class, 'WAF_Policy');
+        assert.deepStrictEqual(app.vs_waf.policyWAF, { use: '/AS3_Tenant/AS3_Application/waf_pol' });
+        assert.strictEqual(result.metadata.wafPolicies['asm policy /AS3_Tenant/AS3_Application/waf_pol'].status, 'embedded');
+        assert.strictEqual(result.metadata.wafPolicies['asm policy /AS3_Tenant/AS3_Application/waf_other'].status, 'bigip');
+    });
+
+    it('Should reference exported APM policies from --apm-policy-dir', async () => {
+        const config = {
+            conf: ['./test/engines/as3Converter/access_profile/access_profile.conf'],
+            output: 'output.json',
+            disableAnalytics: true,
+            apmPolicyDir: './test/engines/as3Converter/access_profile/policies'
+        };
+        const result = await main(null, config);
+        const app = result.declaration.AS3_Tenant.AS3_Application;
+
+        assert.strictEqual(app.ap_web.class, 'Access_Profile');
+        assert.strictEqual(app.prp_web.class, 'Per_Request_Access_Policy');
+        assert.deepStrictEqual(app.vs_apm.policyIAM, { use: '/AS3_Tenant/AS3_Application/ap_web' });
+        assert.strictEqual(result.metadata.apmPolicies['apm profile access /AS3_Tenant/AS3_Application/ap_web'].status, 'url');
+        assert.strictEqual(result.metadata.apmPolicies['apm profile access /AS3_Tenant/AS3_Application/ap_web'].upload,
+            '/var/config/rest/downloads/ap_web.tar.gz');
+        assert.strictEqual(result.metadata.apmPolicies['apm profile access /AS3_Tenant/AS3_Application/ap_other'].status, 'bigip');
+    });
+
+    it('Should put source file and lines into remark when requested', async () => {
+        const config = {
+            conf: './test/main/main.conf',
+            output: 'output.json',
+            provenanceRemark: true,
+            disableAnalytics: true
+        };
+        const result = await main(null, config);
+        const app = result.declaration.AS3_Tenant.AS3_Application;
+
+        assert.strictEqual(app.web_pool.remark, './test/main/main.conf:3-5');
+        // remark converted from description is kept
+        assert.strictEqual(app.serviceMain.remark, 'AS3_Application');
+        assert.strictEqual(result.metadata.provenance['/AS3_Tenant/AS3_Application/web_pool'].file, './test/main/main.conf');
+    });
+
+    it('Should skip malformed objects and report them in metadata', async () => {
+        const config = {
+            conf: './test/engines/parser/ex18.conf',
+            output: 'output.json',
+            disableAnalytics: true
+        };
+        const result = await main(null, config);
+
+        assert.strictEqual(result.declaration.Common.Shared.pool_before.class, 'Pool');
+        assert.strictEqual(result.declaration.Common.Shared.pool_after.class, 'Pool');
+        assert.deepStrictEqual(result.metadata.parseErrors.map((err) => err.startLine), [6, 13, 22]);
+    });
+
+    it('Should fail on malformed object in strict mode', async () => {
+        const config = {
+            conf: './test/engines/parser/ex18.conf',
+            output: 'output.json',
+            strict: true,
+            disableAnalytics: true
+        };
+        await assert.rejects(main(null, config), /Error parsing input file/);
+    });
+
+    it('Should apply conversion rules of source BIG-IP version', async () => {
+        const config = {
+            conf: './test/main/progressive.conf',
+            output: 'output.json',
+            disableAnalytics: true
+        };
+        // f5-tcp-progressive is not built-in on 12.1, user-defined profile is converted
+        let result = await main(null, config);
+        assert.strictEqual(result.declaration.Common.Shared['f5-tcp-progressive'].class, 'TCP_Profile');
+        assert.deepStrictEqual(
+            result.declaration.AS3_Tenant.AS3_Application.serviceMain.profileTCP,
+            { use: '/Common/Shared/f5-tcp-progressive' }
+        );
+
+        // --source-version overrides TMSH-VERSION header
+        config.sourceVersion = '16.1';
+        result = await main(null, config);
+        assert.strictEqual(result.declaration.Common, undefined);
+        assert.deepStrictEqual(
+            result.declaration.AS3_Tenant.AS3_Application.serviceMain.profileTCP,
+            { bigip: '/Common/f5-tcp-progressive' }
+        );
+
+        // rules of the previous conversion are not kept
+        delete config.sourceVersion;
+        result = await main(null, config);
+        assert.strictEqual(result.declaration.Common.Shared['f5-tcp-progressive'].class, 'TCP_Profile');
+    });
+
+    it('Should not keep conversion rules between back to back conversions', async () => {
+        const config = {
+            conf: './test/main/progressive.conf',
+            output: 'output.json',
+            disableAnalytics: true
+        };
+        await main(null, config);
+
+        // same profile without TMSH-VERSION header is built-in on the latest version
+        const data = fs.readFileSync(config.conf, 'utf-8').replace(/^#TMSH-VERSION.*\n/, '');
+        const result = await mainAPI(data);
+        assert.strictEqual(result.declaration.Common, undefined);
+        assert.deepStrictEqual(
+            result.declaration.AS3_Tenant.AS3_Application.serviceMain.profileTCP,
+            { bigip: '/Common/f5-tcp-progressive' }
+        );
+    });
+
+    it('Should convert concurrent requests with rules of their own source version', async () => {
+        // policy directory is read after source version is detected, other request runs meanwhile
+        const config = {
+            conf: './test/main/progressive.conf',
+            output: 'output.json',
+            disableAnalytics: true,
+            apmPolicyDir: './test/engines/as3Converter/access_profile/policies'
+        };
+        const configLatest = Object.assign({}, config, { sourceVersion: '16.1' });
+        const [result, resultLatest] = await Promise.all([main(null, config), main(null, configLatest)]);
+
+        assert.strictEqual(result.declaration.Common.Shared['f5-tcp-progressive'].class, 'TCP_Profile');
+        assert.strictEqual(resultLatest.declaration.Common, undefined);
+    });
+
+    it('Should report objects referenced as existing BIG-IP objects with --keep-bigip-refs', async () => {
+        const config = {
+            conf: './test/engines/as3Converter/misc/bigipRefs/bigipRefs.conf',
+            output: 'output.json',
+            disableAnalytics: true
+        };
+        let result = await main(null, config);
+        assert.deepStrictEqual(result.metadata.bigipRefs, {});
+
+        config.keepBigipRefs = true;
+        result = await main(null, config);
+        assert.deepStrictEqual(result.declaration.AS3_Tenant.AS3_Application.rtsp_vs.profileRTSP,
+            { bigip: '/Common/rtsp_custom' });
+        assert.deepStrictEqual(Object.keys(result.metadata.bigipRefs), [
+            '/Common/inband_mon',
+            '/Common/ipi_policy',
+            '/Common/host_persist',
+            '/Common/ntlm_custom',
+            '/Common/rtsp_custom'
+        ]);
+    });
+
+    it('Should report renamed objects and write rename map with --rename-map', async () => {
+        const config = {
+            conf: './test/engines/as3Converter/misc/renames/renames.conf',
+            output: 'output.json',
+            renameMap: 'renames.csv',
+            disableAnalytics: true
+        };
+        const result = await main(null, config);
+        assert.deepStrictEqual(result.metadata.renames['ltm virtual /AS3_Tenant/AS3_Application/web_vs'], [
+            '/AS3_Tenant/AS3_Application/web_vs_80',
+            '/AS3_Tenant/AS3_Application/web_vs_8080'
+        ]);
+        const csv = fs.readFileSync('renames.csv', 'utf-8').split('\n');
+        await unlink('renames.csv');
+        assert.strictEqual(csv[0], 'type,source,pointer');
+        assert.ok(csv.includes('ltm pool,/AS3_Tenant/AS3_Application/10.1.1.1,/AS3_Tenant/AS3_Application/pool_10.1.1.1'));
+
+        config.renameMap = 'renames.json';
+        await main(null, config);
+        const rows = JSON.parse(fs.readFileSync('renames.json', 'utf-8'));
+        await unlink('renames.json');
+        assert.deepStrictEqual(rows.filter((row) => row.type === 'ltm virtual'), [
+            { type: 'ltm virtual', source: '/AS3_Tenant/AS3_Application/app', pointer: '/AS3_Tenant/AS3_Application/virtual_app_dup' },
+            { type: 'ltm virtual', source: '/AS3_Tenant/AS3_Application/web_vs', pointer: '/AS3_Tenant/AS3_Application/web_vs_80' },
+            { type: 'ltm virtual', source: '/AS3_Tenant/AS3_Application/web_vs', pointer: '/AS3_Tenant/AS3_Application/web_vs_8080' }
+        ]);
+    });
+
+    it('Should convert iControl REST JSON export', async () => {
+        const config = {
+            conf: './test/engines/restParser/ltm.json',
+            output: 'output.json',
+            disableAnalytics: true
+        };
+        const result = await main(null, config);
+        const app = result.declaration.AS3_Tenant.AS3_Application;
+
+        assert.strictEqual(app.serviceMain.class, 'Service_HTTP');
+        assert.deepStrictEqual(app.serviceMain.virtualAddresses, ['10.0.1.10']);
+        assert.strictEqual(app.web_pool.class, 'Pool');
+        assert.strictEqual(app.web_monitor.class, 'Monitor');
     });
 
     it('Should be callable from 3rd party script as function, metadata test', async () => {
         const data = fs.readFileSync('./test/main/main.conf', 'utf-8');
 
         const exMetadata = {
+            apmPolicies: {},
             as3Recognized: {
                 'ltm pool /AS3_Tenant/AS3_Application/web_pool': {
                     'min-active-members': '1'
@@ -127,7 +374,32 @@ describe('Test main function (main.js)', () => {
             ],
             as3NextNotConverted: {},
             as3NotConverted: {},
-            unsupportedStats: {}
+            bigipRefs: {},
+            discoveryPlaceholders: {},
+            externalDataGroups: {},
+            iapps: {},
+            nodeConflicts: {},
+            parseErrors: [],
+            provenance: {
+                '/AS3_Tenant/AS3_Application/web_pool': {
+                    key: 'ltm pool /AS3_Tenant/AS3_Application/web_pool',
+                    file: 'config.conf',
+                    startLine: 3,
+                    endLine: 5
+                },
+                '/AS3_Tenant/AS3_Application/serviceMain': {
+                    key: 'ltm virtual /AS3_Tenant/AS3_Application/serviceMain',
+                    file: 'config.conf',
+                    startLine: 6,
+                    endLine: 27
+                }
+            },
+            renames: {},
+            unresolvedIruleRefs: {},
+            unsupportedPolicyRules: {},
+            unsupportedRouteDomains: {},
+            unsupportedStats: {},
+            wafPolicies: {}
         };
         const json = await mainAPI(data);
         const convertedMetadata = json.metadata;
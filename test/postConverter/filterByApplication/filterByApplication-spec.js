@@ -80,4 +80,47 @@ describe('filter config (filterByApplication.js)', () => {
         const resultJson = filterByApplication(srcJson, config);
         assert.deepStrictEqual(srcJson.Ten, resultJson.Ten);
     });
+
+    it('should collect objects referenced by iRule and rewrite references to relocated objects', () => {
+        const irule = [
+            'when HTTP_REQUEST {',
+            '    if { [class match [HTTP::uri] starts_with /Common/Shared/uri_dg] } {',
+            '        pool /Common/Shared/web_pool',
+            '    } else {',
+            '        pool /Common/missing_pool',
+            '    }',
+            '}'
+        ].join('\n');
+        const json = {
+            class: 'ADC',
+            id: 'test',
+            Common: {
+                class: 'Tenant',
+                Shared: {
+                    class: 'Application',
+                    template: 'shared',
+                    uri_dg: { class: 'Data_Group', keyDataType: 'string', records: [{ key: '/api' }] },
+                    web_pool: { class: 'Pool', members: [] }
+                }
+            },
+            f5demo: {
+                class: 'Tenant',
+                app: {
+                    class: 'Application',
+                    template: 'http',
+                    vs: { class: 'Service_HTTP', iRules: [{ use: '/f5demo/app/rule' }] },
+                    rule: { class: 'iRule', iRule: { base64: Buffer.from(irule).toString('base64') } }
+                }
+            }
+        };
+        const config = { vsName: '/f5demo/app/vs', applicationTarget: 'Appl', tenantTarget: 'Ten' };
+        const resultJson = filterByApplication(json, config);
+
+        assert.deepStrictEqual(Object.keys(resultJson.Ten.Appl).sort(),
+            ['class', 'rule', 'serviceMain', 'template', 'uri_dg', 'web_pool']);
+        assert.strictEqual(
+            Buffer.from(resultJson.Ten.Appl.rule.iRule.base64, 'base64').toString(),
+            irule.replace('/Common/Shared/uri_dg', '/Ten/Appl/uri_dg').replace('/Common/Shared/web_pool', '/Ten/Appl/web_pool')
+        );
+    });
 });
@@ -17,6 +17,8 @@
 'use strict';
 
 const assert = require('assert');
+const sinon = require('sinon');
+const log = require('../../../src/util/log');
 const removeInvalidRefs = require('../../../src/postConverter/removeInvalidRefs');
 const validator = require('../../engines/validators/as3Adapter');
 
@@ -69,4 +71,31 @@ describe('Remove invalid refs (removeInvalidRefs.js)', () => {
                 .then((data) => assert(data.isValid, JSON.stringify(data, null, 4)));
         });
     });
+
+    describe('provenance', () => {
+        afterEach(() => {
+            sinon.restore();
+        });
+
+        it('should point warnings to source of the object', () => {
+            const warnSpy = sinon.spy(log, 'warn');
+            const declaration = {
+                class: 'ADC',
+                tenant: {
+                    class: 'Tenant',
+                    app: {
+                        class: 'Application',
+                        pool: {
+                            class: 'Pool',
+                            monitors: [{ use: '/tenant/app/missing' }]
+                        }
+                    }
+                }
+            };
+            const provenance = { '/tenant/app/pool': { file: 'config/bigip.conf', startLine: 1234, endLine: 1240 } };
+            removeInvalidRefs(declaration, provenance);
+            assert.strictEqual(declaration.tenant.app.pool.monitors, undefined);
+            sinon.assert.calledWith(warnSpy, 'Invalid reference removed: pool.monitors: {"use":"/tenant/app/missing"} (config/bigip.conf:1234-1240)');
+        });
+    });
 });
@@ -17,6 +17,7 @@
 'use strict';
 
 const assert = require('assert');
+const fs = require('fs');
 const extract = require('../../src/preConverter/extract');
 
 describe('UCS extraction (extract.js)', () => {
@@ -28,4 +29,53 @@ describe('UCS extraction (extract.js)', () => {
 
         assert(files.includes('config/partitions/AS3_Tenant/bigip.conf'));
     });
+
+    it('should keep filestore files of sys file objects of every partition', async () => {
+        const data = await extract('./test/preConverter/filestore.ucs');
+        const files = data.map((x) => x.path);
+        const filestore = 'var/tmp/filestore_temp/files_d';
+
+        assert(files.includes(`${filestore}/Common_d/certificate_d/:Common:default.crt_1_1`));
+        assert(files.includes(`${filestore}/Tenant_B_d/certificate_d/:Tenant_B:app:web.crt_12345_1`));
+        assert(files.includes(`${filestore}/Tenant_B_d/data_group_d/:Tenant_B:app:dg_file_12346_1`));
+        assert(files.includes(`${filestore}/Tenant_B_d/external_monitor_d/:Tenant_B:app:check.sh_12347_1`));
+        assert(files.includes(`${filestore}/Tenant_B_d/ifile_d/:Tenant_B:app:page.html_12348_1`));
+        assert(files.includes(`${filestore}/Tenant_B_d/certificate_revocation_list_d/:Tenant_B:app:web.crl_12349_1`));
+        assert(!files.includes(`${filestore}/Common_d/epsec_package_d/epsec.iso`));
+    });
+
+    it('should decrypt and decompress the passphrase-protected UCS file', async () => {
+        const data = await extract('./test/preConverter/encrypted_passphrase.ucs', 'f5-acc-test');
+        const files = data
+            .filter((x) => x.type !== 'directory')
+            .map((x) => x.path);
+
+        assert(files.includes('config/partitions/AS3_Tenant/bigip.conf'));
+    });
+
+    it('should decrypt the passphrase-protected UCS buffer', async () => {
+        const buffer = fs.readFileSync('./test/preConverter/encrypted_passphrase.ucs');
+        const data = await extract(buffer, 'f5-acc-test');
+        assert(data.map((x) => x.path).includes('config/bigip.conf'));
+    });
+
+    it('should ignore passphrase for not encrypted UCS file', async () => {
+        const data = await extract('./test/basic_install.ucs', 'f5-acc-test');
+        assert(data.map((x) => x.path).includes('config/bigip.conf'));
+    });
+
+    it('should reject with distinct error if UCS is encrypted and passphrase is not provided', () => assert.rejects(
+        extract('./test/preConverter/encrypted_passphrase.ucs'),
+        { message: 'UCS is encrypted, passphrase required' }
+    ));
+
+    it('should reject with distinct error if passphrase is incorrect', () => assert.rejects(
+        extract('./test/preConverter/encrypted_passphrase.ucs', 'wrong-passphrase'),
+        { message: 'Unable to decrypt UCS: incorrect passphrase' }
+    ));
+
+    it('should reject if encrypted UCS is malformed', () => assert.rejects(
+        extract('./test/main/encrypted.ucs', 'f5-acc-test'),
+        { message: 'Error decrypting UCS: file is not a valid encrypted archive' }
+    ));
 });
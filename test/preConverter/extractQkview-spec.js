@@ -0,0 +1,40 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const extractQkview = require('../../src/preConverter/extractQkview');
+
+describe('QKView extraction (extractQkview.js)', () => {
+    it('should decompress the QKView file and keep only config files', async () => {
+        const data = await extractQkview('./test/preConverter/basic.qkview');
+        const files = data
+            .filter((x) => x.type !== 'directory')
+            .map((x) => x.path);
+
+        assert(files.includes('config/bigip.conf'));
+        assert(files.includes('config/bigip_base.conf'));
+        assert(files.includes('config/partitions/AS3_Tenant/bigip.conf'));
+        assert(!files.includes('var/log/ltm'));
+        assert(!files.includes('qkview_run.data'));
+    });
+
+    it('should reject if QKView has no configuration files', () => assert.rejects(
+        extractQkview('./test/main/main.conf'),
+        { message: 'Error extracting QKView: no configuration files found' }
+    ));
+});
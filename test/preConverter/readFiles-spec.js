@@ -17,9 +17,17 @@
 'use strict';
 
 const assert = require('assert');
+const fs = require('fs');
+const { Readable } = require('stream');
 const readFiles = require('../../src/preConverter/readFiles');
 
 describe('Load config (readFiles.js)', () => {
+    const stdin = readFiles.stdin;
+
+    afterEach(() => {
+        readFiles.stdin = stdin;
+    });
+
     it('should read files from a UCS', async () => {
         const fileList = [
             'config/bigip_user.conf',
@@ -34,11 +42,67 @@ describe('Load config (readFiles.js)', () => {
         assert.strictEqual('string', typeof files['config/bigip_base.conf']);
     });
 
+    it('should read files from a passphrase-protected UCS', async () => {
+        const config = { ucsPassphrase: 'f5-acc-test' };
+        const files = await readFiles(['./test/preConverter/encrypted_passphrase.ucs'], config);
+        assert.strictEqual('string', typeof files['config/bigip.conf']);
+        assert.strictEqual('string', typeof files['config/partitions/AS3_Tenant/bigip.conf']);
+    });
+
+    it('should read files from a QKView', async () => {
+        const config = { qkview: './test/preConverter/basic.qkview' };
+        const files = await readFiles([config.qkview], config);
+        assert.deepStrictEqual(Object.keys(files), [
+            'config/partitions/AS3_Tenant/bigip.conf',
+            'config/bigip_base.conf',
+            'config/bigip.conf',
+            'var/tmp/filestore_temp/files_d/Common_d/certificate_d/:Common:default.crt_1_1'
+        ]);
+    });
+
     it('should read files from a config', async () => {
         const files = await readFiles(['./test/main/main.conf']);
         assert.strictEqual('string', typeof files['./test/main/main.conf']);
     });
 
+    it('should read multiple configs', async () => {
+        const files = await readFiles(['./test/main/main.conf', './test/preConverter/overlay.conf']);
+        assert.deepStrictEqual(Object.keys(files), ['./test/main/main.conf', './test/preConverter/overlay.conf']);
+    });
+
+    it('should walk directory recursively and read only config files', async () => {
+        const files = await readFiles(['./test/preConverter/confDir']);
+        assert.deepStrictEqual(Object.keys(files), [
+            'test/preConverter/confDir/bigip.conf',
+            'test/preConverter/confDir/bigip_base.conf',
+            'test/preConverter/confDir/partitions/AS3_Tenant/bigip.conf'
+        ]);
+        assert.strictEqual(readFiles.origin['test/preConverter/confDir/bigip.conf'], './test/preConverter/confDir');
+    });
+
+    it('should merge UCS with conf overlays and keep origin of every file', async () => {
+        const files = await readFiles(['./test/basic_install.ucs', './test/preConverter/overlay.conf']);
+        assert.strictEqual('string', typeof files['config/bigip.conf']);
+        assert.strictEqual('string', typeof files['./test/preConverter/overlay.conf']);
+        assert.strictEqual(readFiles.origin['config/bigip.conf'], './test/basic_install.ucs');
+        assert.strictEqual(readFiles.origin['./test/preConverter/overlay.conf'], './test/preConverter/overlay.conf');
+    });
+
+    it('should reject if path does not exist', () => assert.rejects(readFiles(['./test/preConverter/missing'])));
+
+    it('should read config from stdin', async () => {
+        readFiles.stdin = Readable.from([Buffer.from('ltm pool /Common/pool1 { }\n')]);
+        const files = await readFiles(['-']);
+        assert.deepStrictEqual(files, { stdin: 'ltm pool /Common/pool1 { }\n' });
+        assert.strictEqual(readFiles.origin.stdin, '-');
+    });
+
+    it('should read UCS from stdin', async () => {
+        readFiles.stdin = fs.createReadStream('./test/basic_install.ucs');
+        const files = await readFiles(['-'], { ucs: '-' });
+        assert.strictEqual('string', typeof files['config/bigip.conf']);
+    });
+
     it('should persist the data via readFiles.data', async () => {
         const files = await readFiles(['./test/basic_install.ucs']);
         assert.deepStrictEqual(files, readFiles.data);
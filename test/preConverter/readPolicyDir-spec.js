@@ -0,0 +1,37 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const readPolicyDir = require('../../src/preConverter/readPolicyDir');
+
+describe('Exported policies directory (readPolicyDir.js)', () => {
+    it('should index files of given extensions by policy name', async () => {
+        const policies = await readPolicyDir('./test/engines/as3Converter/waf_policy/policies', ['.xml', '.json']);
+        const file = 'test/engines/as3Converter/waf_policy/policies/waf_pol.xml';
+
+        assert.deepStrictEqual(Object.keys(policies), ['waf_pol']);
+        assert.strictEqual(policies.waf_pol.file, file);
+        assert(policies.waf_pol.content.equals(fs.readFileSync(file)));
+    });
+
+    it('should reject if directory does not exist', () => assert.rejects(
+        readPolicyDir('./test/preConverter/missing', ['.xml']),
+        { message: 'Error reading policy directory: ./test/preConverter/missing' }
+    ));
+});
@@ -111,6 +111,67 @@ describe('Automation Config Converter API', function apiTest() {
                 expect(res.body.Common.Shared.httpProfile.class).to.equal('HTTP_Profile');
             }));
 
+        it('should POST a passphrase-protected UCS to be converted', () => chai.request(server)
+            .post('/converter')
+            .field('disableAnalytics', 'true')
+            .field('verbose', 'true')
+            .field('ucsPassphrase', 'f5-acc-test')
+            .attach('ucs', 'test/preConverter/encrypted_passphrase.ucs', 'encrypted_passphrase.ucs')
+            .then((res) => {
+                expect(res).to.have.status(201);
+                expect(res.body.output.Common.Shared.httpProfile.class).to.equal('HTTP_Profile');
+                expect(res.body.config.ucsPassphrase).to.be.undefined;
+            }));
+
+        it('should fail to convert encrypted UCS without passphrase', () => chai.request(server)
+            .post('/converter')
+            .field('disableAnalytics', 'true')
+            .attach('ucs', 'test/preConverter/encrypted_passphrase.ucs', 'encrypted_passphrase.ucs')
+            .then((res) => {
+                expect(res).to.have.status(400);
+            }));
+
+        it('should fail to convert UCS with incorrect passphrase', () => chai.request(server)
+            .post('/converter')
+            .field('disableAnalytics', 'true')
+            .field('ucsPassphrase', 'wrong-passphrase')
+            .attach('ucs', 'test/preConverter/encrypted_passphrase.ucs', 'encrypted_passphrase.ucs')
+            .then((res) => {
+                expect(res).to.have.status(400);
+            }));
+
+        it('should load certificates of UCS filestore', () => chai.request(server)
+            .post('/converter')
+            .field('disableAnalytics', 'true')
+            .attach('ucs', 'test/preConverter/filestore.ucs', 'filestore.ucs')
+            .then((res) => {
+                const cert = fs.readFileSync('test/engines/as3Converter/certificate/certificate2.crt', 'utf-8');
+                expect(res).to.have.status(201);
+                expect(res.body.Tenant_B.app.web.class).to.equal('Certificate');
+                expect(res.body.Tenant_B.app.web.certificate).to.equal(cert);
+            }));
+
+        it('should POST a QKView to be converted', () => chai.request(server)
+            .post('/converter')
+            .field('disableAnalytics', 'true')
+            .attach('qkview', 'test/preConverter/basic.qkview', 'basic.qkview')
+            .then((res) => {
+                expect(res).to.have.status(201);
+                expect(res.body.Common.Shared.qkviewHttpProfile.class).to.equal('HTTP_Profile');
+                expect(res.body.AS3_Tenant.AS3_Application.web_pool.class).to.equal('Pool');
+            }));
+
+        it('should report source and missing secrets of QKView in verbose response', () => chai.request(server)
+            .post('/converter')
+            .field('disableAnalytics', 'true')
+            .field('verbose', 'true')
+            .attach('qkview', 'test/preConverter/basic.qkview', 'basic.qkview')
+            .then((res) => {
+                expect(res).to.have.status(201);
+                expect(res.body.source).to.equal('qkview');
+                expect(res.body.missingSecrets['/AS3_Tenant/AS3_Application/qkview_monitor']).to.deep.equal(['passphrase']);
+            }));
+
         it('should POST a conf to be converted', () => chai.request(server)
             .post('/converter')
             .field('disableAnalytics', 'true')
@@ -28,14 +28,22 @@ const formatStr = require('../../src/util/convert/formatStr');
 const getCidrFromNetmask = require('../../src/util/convert/getCidrFromNetmask');
 const getMergedAS3Properties = require('../../src/util/getMergedAS3Properties');
 const getObjectType = require('../../src/util/convert/getObjectType');
+const getRouteDomainId = require('../../src/util/convert/getRouteDomainId');
 const handleObjectRef = require('../../src/util/convert/handleObjectRef');
 const hyphensToCamel = require('../../src/util/convert/hyphensToCamel');
 const isInteger = require('../../src/util/convert/isInteger');
 const isIPv4 = require('../../src/util/convert/isIPv4');
 const isIPv6 = require('../../src/util/convert/isIPv6');
+const loadFilestoreFile = require('../../src/util/convert/loadFilestoreFile');
+const parse = require('../../src/engines/parser');
+const parseDataGroupFile = require('../../src/util/convert/parseDataGroupFile');
+const parseIappService = require('../../src/util/convert/parseIappService');
 const prependObjProps = require('../../src/util/convert/prependObjProps');
 const recursiveCamelize = require('../../src/util/convert/recursiveCamelize');
+const readFiles = require('../../src/preConverter/readFiles');
 const returnEmptyObjIfNone = require('../../src/util/convert/returnEmptyObjIfNone');
+const rewriteIruleRefs = require('../../src/util/convert/rewriteIruleRefs');
+const splitRouteDomain = require('../../src/util/convert/splitRouteDomain');
 const unquote = require('../../src/util/convert/unquote');
 
 describe('Converter utils (util/convert)', () => {
@@ -227,6 +235,16 @@ describe('Converter utils (util/convert)', () => {
             const output = getCidrFromNetmask(input, true);
             assert.strictEqual(12, output);
         });
+
+        it('should convert ipv6 netmask', () => {
+            assert.strictEqual(getCidrFromNetmask('ffff:ffff:ffff:ffff::'), '/64');
+            assert.strictEqual(getCidrFromNetmask('ffff:ffff:ffff:ffff:ffff:ffff:ffff:ffff'), '/128');
+        });
+
+        it('should convert wildcard netmasks', () => {
+            assert.strictEqual(getCidrFromNetmask('any'), '/0');
+            assert.strictEqual(getCidrFromNetmask('any6'), '/0');
+        });
     });
 
     describe('getObjectType', () => {
@@ -243,6 +261,22 @@ describe('Converter utils (util/convert)', () => {
         });
     });
 
+    describe('getRouteDomainId', () => {
+        it('should return id of route domain object', () => {
+            const input = { 'net route-domain /Common/rd_tenant': { id: '3' } };
+            assert.strictEqual(getRouteDomainId('/Common/rd_tenant', input), 3);
+        });
+
+        it('should fall back to numeric name', () => {
+            assert.strictEqual(getRouteDomainId('/Common/0'), 0);
+            assert.strictEqual(getRouteDomainId('/Common/12', {}), 12);
+        });
+
+        it('should return undefined for unknown route domain', () => {
+            assert.strictEqual(getRouteDomainId('/Common/rd_missing', {}), undefined);
+        });
+    });
+
     describe('handleObjectRef', () => {
         it('should recognize default objects', () => {
             const input = '/Common/http';
@@ -323,6 +357,140 @@ describe('Converter utils (util/convert)', () => {
             const output = isIPv6(input);
             assert.strictEqual(false, output);
         });
+
+        it('should handle compressed ipv6', () => {
+            assert.strictEqual(isIPv6('::'), true);
+            assert.strictEqual(isIPv6('::1'), true);
+        });
+    });
+
+    describe('loadFilestoreFile', () => {
+        it('should resolve every sys file object to its content', async () => {
+            const data = await readFiles(['./test/preConverter/filestore.ucs']);
+            const json = parse(data);
+            const sysFiles = Object.keys(json).filter((key) => key.startsWith('sys file '));
+
+            assert.strictEqual(sysFiles.length, 5);
+            loadFilestoreFile.use(data, () => {
+                sysFiles.forEach((key) => {
+                    assert(loadFilestoreFile(json[key]['cache-path']), `${key} is not resolved`);
+                });
+                assert.strictEqual(
+                    loadFilestoreFile(json['sys file data-group /Tenant_B/app/dg_file']['cache-path']),
+                    '"alpha" := "1",\n"beta" := "2",\n'
+                );
+            });
+        });
+
+        it('should resolve sys file ssl-crl and ifile of non-Common partition', async () => {
+            const data = await readFiles(['./test/preConverter/filestore.ucs']);
+            const json = parse(data);
+
+            loadFilestoreFile.use(data, () => {
+                assert.strictEqual(
+                    loadFilestoreFile(json['sys file ssl-crl /Tenant_B/app/web.crl']['cache-path']),
+                    '-----BEGIN X509 CRL-----\nMIIBfake\n-----END X509 CRL-----\n'
+                );
+                assert.strictEqual(
+                    loadFilestoreFile(json['sys file ifile /Tenant_B/app/page.html']['cache-path']),
+                    '<html><body>maintenance</body></html>\n'
+                );
+            });
+        });
+
+        it('should index filestore by partition, only types of sys file objects', () => {
+            const filestore = loadFilestoreFile.index({
+                'config/bigip.conf': '',
+                'var/tmp/filestore_temp/files_d/Common_d/certificate_d/:Common:default.crt_1_1': 'common',
+                '/var/tmp/filestore_temp/files_d/Tenant_d/certificate_key_d/TenantAppweb.key_2_1': 'tenant',
+                'var/tmp/filestore_temp/files_d/Tenant_d/ifile_d/TenantApppage.html_3_1': 'page',
+                'var/tmp/filestore_temp/files_d/Common_d/epsec_package_d/epsec.iso': 'not indexed'
+            });
+            assert.deepStrictEqual(filestore, {
+                Common: { 'certificate_d/Commondefault.crt_1_1': 'common' },
+                Tenant: {
+                    'certificate_key_d/TenantAppweb.key_2_1': 'tenant',
+                    'ifile_d/TenantApppage.html_3_1': 'page'
+                }
+            });
+        });
+
+        it('should not load files outside of conversion they are passed to', async () => {
+            const data = await readFiles(['./test/preConverter/filestore.ucs']);
+            const json = parse(data);
+            const cachePath = json['sys file ifile /Tenant_B/app/page.html']['cache-path'];
+
+            assert(loadFilestoreFile.use(data, () => loadFilestoreFile(cachePath)));
+            assert.strictEqual(loadFilestoreFile(cachePath), undefined);
+        });
+
+        it('should return undefined for unknown file', () => {
+            assert.strictEqual(loadFilestoreFile('/config/filestore/files_d/Nope_d/ifile_d/:Nope:file_1_1'), undefined);
+            assert.strictEqual(loadFilestoreFile(undefined), undefined);
+        });
+    });
+
+    describe('parseDataGroupFile', () => {
+        it('should parse string records with quoted separator and escapes', () => {
+            const content = '"alpha" := "1",\n"a := b" := "c\\"d",\n"empty",\n\n';
+            assert.deepStrictEqual(parseDataGroupFile(content), [
+                { key: 'alpha', value: '1' },
+                { key: 'a := b', value: 'c"d' },
+                { key: 'empty', value: '' }
+            ]);
+        });
+
+        it('should parse integer records with custom separator', () => {
+            assert.deepStrictEqual(parseDataGroupFile('80 : "http",\r\n443,\r\n', 'integer', ':'), [
+                { key: 80, value: 'http' },
+                { key: 443, value: '' }
+            ]);
+        });
+
+        it('should parse address records', () => {
+            const content = 'host 10.0.0.1 := "a",\nnetwork 10.0.0.0 mask 255.255.0.0,\n'
+                + 'network 2001:db8:: prefixlen 32 := "b",\n192.0.2.0/24,\n';
+            assert.deepStrictEqual(parseDataGroupFile(content, 'ip'), [
+                { key: '10.0.0.1', value: 'a' },
+                { key: '10.0.0.0/16', value: '' },
+                { key: '2001:db8::/32', value: 'b' },
+                { key: '192.0.2.0/24', value: '' }
+            ]);
+        });
+    });
+
+    describe('parseIappService', () => {
+        it('should flatten variables and tables', () => {
+            const service = {
+                template: '/Common/f5.http.v1.2.0rc7',
+                tables: {
+                    basic__snatpool_members: {},
+                    pool__members: {
+                        'column-names': ['addr', 'port'],
+                        rows: { 0: { row: ['10.1.1.11', '80'] }, 1: { row: ['10.1.1.12', '"8080"'] } }
+                    }
+                },
+                variables: {
+                    pool__addr: { value: '10.0.1.10' },
+                    pool__pool_to_use: { value: '"/#create_new#"' },
+                    ssl__key: { encrypted: 'yes' }
+                }
+            };
+            assert.deepStrictEqual(parseIappService(service), {
+                template: 'f5.http',
+                variables: { pool__addr: '10.0.1.10', pool__pool_to_use: '/#create_new#' },
+                tables: {
+                    basic__snatpool_members: [],
+                    pool__members: [{ addr: '10.1.1.11', port: '80' }, { addr: '10.1.1.12', port: '8080' }]
+                }
+            });
+        });
+
+        it('should strip partition and version from template name', () => {
+            assert.strictEqual(parseIappService.templateName('/Common/f5.microsoft_exchange_2016.v1.0.4'), 'f5.microsoft_exchange_2016');
+            assert.strictEqual(parseIappService.templateName('/Common/f5.tcp'), 'f5.tcp');
+            assert.strictEqual(parseIappService.templateName(undefined), '');
+        });
     });
 
     describe('prependObjProps', () => {
@@ -367,6 +535,82 @@ describe('Converter utils (util/convert)', () => {
         });
     });
 
+    describe('rewriteIruleRefs', () => {
+        const upper = (ref) => ref.name.toUpperCase();
+
+        it('should rewrite references of commands in event bodies, conditions and substitutions', () => {
+            const input = [
+                'when HTTP_REQUEST {',
+                '    if { [active_members web_pool] > 0 } { pool web_pool member 10.1.1.1 80 } else { snatpool snat_pool }',
+                '    HTTP::respond 200 content [class lookup -- [HTTP::host] "host_dg"]',
+                '    set hsl [HSL::open -proto UDP -pool log_pool]; node node1 80',
+                '}'
+            ].join('\n');
+            const expected = [
+                'when HTTP_REQUEST {',
+                '    if { [active_members WEB_POOL] > 0 } { pool WEB_POOL member 10.1.1.1 80 } else { snatpool SNAT_POOL }',
+                '    HTTP::respond 200 content [class lookup -- [HTTP::host] "HOST_DG"]',
+                '    set hsl [HSL::open -proto UDP -pool LOG_POOL]; node NODE1 80',
+                '}'
+            ].join('\n');
+            assert.strictEqual(rewriteIruleRefs(input, upper), expected);
+        });
+
+        it('should pass kind and name of each static reference in order of appearance', () => {
+            const refs = [];
+            const input = 'class match $uri starts_with uri_dg\nvirtual name\nvirtual other_vs\npool $name\npool [get]';
+            rewriteIruleRefs(input, (ref) => { refs.push(ref); });
+            assert.deepStrictEqual(refs, [{ kind: 'class', name: 'uri_dg' }, { kind: 'virtual', name: 'other_vs' }]);
+        });
+
+        it('should pass publishers, profiles, iFiles, resolver virtuals and other full paths', () => {
+            const refs = [];
+            const input = [
+                'set hsl [HSL::open -publisher /Common/pub]',
+                'SSL::profile ssl_prof',
+                'HTTP::respond 200 content [ifile get page]',
+                'set ips [RESOLV::lookup @/Common/dns_vs -a $host]',
+                'persist uie /Common/key'
+            ].join('\n');
+            const output = rewriteIruleRefs(input, (ref) => { refs.push(ref); return upper(ref); });
+            assert.deepStrictEqual(refs, [
+                { kind: 'publisher', name: '/Common/pub' },
+                { kind: 'profile', name: 'ssl_prof' },
+                { kind: 'ifile', name: 'page' },
+                { kind: 'virtual', name: '/Common/dns_vs' },
+                { kind: 'path', name: '/Common/key' }
+            ]);
+            assert(output.includes('[RESOLV::lookup @/COMMON/DNS_VS -a $host]'));
+        });
+
+        it('should skip comments and keep unresolved references as is', () => {
+            const input = '# pool commented_pool\npool kept_pool';
+            assert.strictEqual(rewriteIruleRefs(input, () => undefined), input);
+            assert.strictEqual(rewriteIruleRefs(input, upper), '# pool commented_pool\npool KEPT_POOL');
+        });
+    });
+
+    describe('splitRouteDomain', () => {
+        it('should split route domain off ipv4 and ipv6 addresses', () => {
+            assert.deepStrictEqual(splitRouteDomain('10.1.1.10%2'), { address: '10.1.1.10', routeDomain: 2 });
+            assert.deepStrictEqual(splitRouteDomain('2001:db8::10%12'), { address: '2001:db8::10', routeDomain: 12 });
+        });
+
+        it('should keep mask', () => {
+            assert.deepStrictEqual(splitRouteDomain('10.1.1.0%2/24'), { address: '10.1.1.0/24', routeDomain: 2 });
+        });
+
+        it('should replace wildcard names', () => {
+            assert.deepStrictEqual(splitRouteDomain('any%2'), { address: '0.0.0.0', routeDomain: 2 });
+            assert.deepStrictEqual(splitRouteDomain('any6'), { address: '::' });
+        });
+
+        it('should return address without route domain as is', () => {
+            assert.deepStrictEqual(splitRouteDomain('10.1.1.10'), { address: '10.1.1.10' });
+            assert.deepStrictEqual(splitRouteDomain('virtual_address'), { address: 'virtual_address' });
+        });
+    });
+
     describe('unquote', () => {
         it('should unquote a string', () => {
             const input = '"Test string"';
@@ -26,4 +26,13 @@ describe('Test getBigipVersion function (getBigipVersion.js)', () => {
         const version = getBigipVersion(data);
         assert.strictEqual('13.1.1.3', version);
     });
+
+    it('Should handle windows line endings', () => {
+        const data = { 'config/bigip.conf': '#TMSH-VERSION: 15.1.0\r\n\r\nltm node /Common/n1 { }' };
+        assert.strictEqual(getBigipVersion(data), '15.1.0');
+    });
+
+    it('Should return empty string if version is not found', () => {
+        assert.strictEqual(getBigipVersion({ 'config/bigip.conf': 'ltm node /Common/n1 { }' }), '');
+    });
 });
@@ -62,6 +62,12 @@ describe('Check logger based on winston', () => {
         assert.calledWith(consoleLogSpy, fileName);
     });
 
+    it('console transport should write all levels to stderr in pipe mode', () => {
+        log.useStderr();
+        const consoleTransport = log.transports.find((t) => t.name === 'console');
+        Object.keys(log.levels).forEach((level) => sinon.assert.match(consoleTransport.stderrLevels[level], true));
+    });
+
     it('stream transport should be called', () => {
         consoleLogSpy = sinon.stub(log, 'memory').resolves();
         log.memory();
@@ -22,6 +22,7 @@ const countIndent = require('../../src/util/parse/countIndent');
 const getTitle = require('../../src/util/parse/getTitle');
 const objToArr = require('../../src/util/parse/objToArr');
 const removeIndent = require('../../src/util/parse/removeIndent');
+const stanzaTokenizer = require('../../src/util/parse/stanzaTokenizer');
 const strToObj = require('../../src/util/parse/strToObj');
 
 describe('Parser utils (util/parse)', () => {
@@ -104,6 +105,107 @@ describe('Parser utils (util/parse)', () => {
         });
     });
 
+    describe('stanzaTokenizer', () => {
+        const tokenize = (lines) => {
+            const stanzas = [];
+            const tokenizer = stanzaTokenizer((stanza) => stanzas.push(stanza));
+            lines.forEach(tokenizer.push);
+            tokenizer.end();
+            return stanzas;
+        };
+
+        it('should emit root-level objects as soon as they are closed', () => {
+            const stanzas = [];
+            const tokenizer = stanzaTokenizer((stanza) => stanzas.push(stanza));
+            ['ltm pool /Common/pool1 {', '    members {', '        /Common/n1:80 { }', '    }'].forEach(tokenizer.push);
+            assert.strictEqual(stanzas.length, 0);
+            tokenizer.push('}');
+            assert.deepStrictEqual(stanzas, [[
+                'ltm pool /Common/pool1 {',
+                '    members {',
+                '        /Common/n1:80 { }',
+                '    }',
+                '}'
+            ]]);
+        });
+
+        it('should emit single-line objects and skip stray lines', () => {
+            const output = tokenize(['    stray', 'ltm node /Common/n1 { }', 'sys global-settings { hostname x }']);
+            assert.deepStrictEqual(output, [['ltm node /Common/n1 { }'], ['sys global-settings { hostname x }']]);
+        });
+
+        it('should not count quoted, escaped and iRule comment brackets', () => {
+            const input = [
+                'ltm rule /Common/rule1 {',
+                'when HTTP_REQUEST {',
+                '    # comment {',
+                '    set x "{"',
+                '    log local0. \\{',
+                '}',
+                '}',
+                'ltm node /Common/n1 { }'
+            ];
+            const output = tokenize(input);
+            assert.strictEqual(output.length, 2);
+            assert.deepStrictEqual(output[0], input.slice(0, 7));
+        });
+
+        it('should start new object when running into next iRule', () => {
+            const output = tokenize(['ltm rule /Common/rule1 {', 'when HTTP_REQUEST {', '}', 'ltm rule /Common/rule2 {', '}']);
+            assert.deepStrictEqual(output, [
+                ['ltm rule /Common/rule1 {', 'when HTTP_REQUEST {', '}'],
+                ['ltm rule /Common/rule2 {', '}']
+            ]);
+        });
+
+        it('should resynchronize at the next root-level object in recovery mode', () => {
+            const stanzas = [];
+            const errors = [];
+            const tokenizer = stanzaTokenizer(
+                (stanza) => stanzas.push(stanza),
+                (stanza, lineNumbers, message) => errors.push({ stanza, lineNumbers, message })
+            );
+            [
+                'ltm pool /Common/pool1 {',
+                '    members {',
+                'ltm node /Common/n1 {',
+                '    address 10.0.0.1',
+                '}',
+                'ltm pool /Common/pool2 {'
+            ].forEach((line, i) => tokenizer.push(line, i + 1));
+            tokenizer.end();
+
+            assert.deepStrictEqual(stanzas, [['ltm node /Common/n1 {', '    address 10.0.0.1', '}']]);
+            assert.deepStrictEqual(errors, [
+                {
+                    stanza: ['ltm pool /Common/pool1 {', '    members {'],
+                    lineNumbers: [1, 2],
+                    message: "Missing closing '}' for object: 'ltm pool /Common/pool1 {'"
+                },
+                {
+                    stanza: ['ltm pool /Common/pool2 {'],
+                    lineNumbers: [6],
+                    message: "Missing closing '}' for object: 'ltm pool /Common/pool2 {'"
+                }
+            ]);
+        });
+
+        it('should not resynchronize inside scripts', () => {
+            const stanzas = [];
+            const tokenizer = stanzaTokenizer((stanza) => stanzas.push(stanza), () => assert.fail());
+            ['cli script /Common/script1 {', 'proc script::run {} {', 'sys x {', '}', '}', '}'].forEach(tokenizer.push);
+            tokenizer.end();
+            assert.strictEqual(stanzas.length, 1);
+        });
+
+        it('should throw on unclosed object', () => {
+            assert.throws(
+                () => tokenize(['ltm pool /Common/pool1 {', '    members {']),
+                /Missing closing '}' for object: 'ltm pool \/Common\/pool1 {'/
+            );
+        });
+    });
+
     describe('strToObj', () => {
         it('should return an object', () => {
             const input = 'description none';
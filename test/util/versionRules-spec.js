@@ -0,0 +1,107 @@
+/**
+ * Copyright 2022 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+const customDict = require('../../src/lib/AS3/customDict');
+const defaults = require('../../src/lib/bigipDefaults.json');
+const getMergedAS3Properties = require('../../src/util/getMergedAS3Properties');
+const versionRules = require('../../src/lib/versionRules');
+
+// check rule set of version the same way converter code does
+const withVersion = (version, fn) => versionRules.use(versionRules.select(version), fn);
+
+describe('BIG-IP version-aware conversion rules (versionRules.js)', () => {
+    it('should compare dotted versions numerically', () => {
+        assert.strictEqual(versionRules.compareVersions('13.1.1.3', '13.1'), 1);
+        assert.strictEqual(versionRules.compareVersions('9.4', '13.1'), -1);
+        assert.strictEqual(versionRules.compareVersions('16.1.0', '16.1'), 0);
+    });
+
+    it('should select same rule set for same version', () => {
+        assert.strictEqual(versionRules.select('12.1.3'), versionRules.select('12.1.3'));
+        assert.strictEqual(versionRules.select(undefined), versionRules.select(''));
+    });
+
+    it('should switch flags by source version', () => {
+        withVersion('15.1.5', () => {
+            assert.strictEqual(versionRules.flag('unprefixedCommon'), false);
+            assert.strictEqual(versionRules.flag('trafficMatchingCriteria'), true);
+        });
+        withVersion('16.1.0', () => assert.strictEqual(versionRules.flag('unprefixedCommon'), true));
+        withVersion('13.1', () => assert.strictEqual(versionRules.flag('trafficMatchingCriteria'), false));
+    });
+
+    it('should treat unknown version as the latest one', () => {
+        withVersion('', () => {
+            assert.strictEqual(versionRules.flag('unprefixedCommon'), true);
+            assert(versionRules.isDefault('/Common/f5-tcp-progressive'));
+            assert(versionRules.isDefault('/Common/f5-quic'));
+        });
+    });
+
+    it('should remove built-in objects missing on older versions', () => {
+        const count = defaults.length;
+
+        withVersion('12.1.3', () => {
+            assert(!versionRules.isDefault('/Common/f5-tcp-progressive'));
+            assert(!versionRules.isDefault('/Common/f5-quic'));
+            assert(versionRules.isDefault('/Common/tcp'));
+        });
+        withVersion('14.1', () => {
+            assert(versionRules.isDefault('/Common/f5-tcp-progressive'));
+            assert(!versionRules.isDefault('/Common/f5-quic'));
+        });
+
+        // shared list is never changed
+        assert.strictEqual(defaults.length, count);
+        assert(defaults.includes('/Common/f5-quic'));
+    });
+
+    it('should merge properties of older versions over as3PropertiesCustom', () => {
+        const poolLbMode = (version) => getMergedAS3Properties(versionRules.select(version))['gtm wideip']
+            .some((x) => x.id === 'pool-lb-mode');
+
+        assert.strictEqual(poolLbMode('11.6.1'), true);
+        assert.strictEqual(poolLbMode('12.0'), false);
+        assert.strictEqual(poolLbMode(''), false);
+    });
+
+    it('should merge custom maps of older versions over customDict', () => {
+        const oldDict = versionRules.customDict(versionRules.select('11.6.1'));
+        assert.strictEqual(oldDict['gtm pool'].class, 'GSLB_Pool');
+        assert.strictEqual(oldDict['gtm pool'].customHandling, customDict['gtm pool a'].customHandling);
+        assert.strictEqual(oldDict['gtm wideip'].class, 'GSLB_Domain');
+        assert.deepStrictEqual(oldDict['gtm wideip'].keyValueRemaps.lastResortPool('lastResortPool', '/Common/pool'), {
+            lastResortPool: 'a /Common/pool'
+        });
+        assert(oldDict['gtm wideip'].keyValueRemaps.aliases);
+
+        assert.strictEqual(versionRules.customDict(versionRules.select('12.0'))['gtm pool'], undefined);
+        assert.strictEqual(customDict['gtm pool'], undefined);
+    });
+
+    it('should restore previous rule set after conversion', () => {
+        withVersion('12.1.3', () => {
+            withVersion('', () => assert(versionRules.isDefault('/Common/f5-tcp-progressive')));
+            assert(!versionRules.isDefault('/Common/f5-tcp-progressive'));
+        });
+        assert.throws(() => withVersion('12.1.3', () => { throw new Error('conversion failed'); }), /conversion failed/);
+        assert(versionRules.isDefault('/Common/f5-tcp-progressive'));
+    });
+});